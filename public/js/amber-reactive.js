@@ -4,11 +4,34 @@
  * 
  * Features:
  * - WebSocket connection management
+ * - HTTP POST fallback when WebSockets are unavailable
+ * - Server-Sent Events transport with actions sent over POST
+ * - Named client commands invoked by the server
+ * - Acknowledged actions with promises and timeouts
+ * - Loading states while actions are in flight
+ * - Debounced and throttled actions
+ * - Multiple bindings per element with key filters and event modifiers
+ * - Action parameters from data-param-* and data-params attributes
+ * - Form serialization with nested names, multi-value fields and file metadata
+ * - File uploads with progress events
+ * - Client-side form validation before actions are sent
  * - Component registration and tracking
- * - DOM morphing for efficient updates
+ * - Client-side component classes with lifecycle hooks
+ * - Lazy components activated when visible, idle or interacted with
+ * - Polling components (data-poll), paused while hidden or offline
+ * - DOM morphing for efficient updates, preserving client-side state
+ *   (uses morphdom when loaded, else a built-in keyed morph)
+ * - Targeted patches (append, prepend, replace, remove, text, attribute)
+ * - Client-side state store with data-bind-* and data-show bindings
+ * - Optimistic updates, rolled back if the action fails
+ * - Topic subscriptions for messages published by the server
+ * - Presence tracking with join/leave callbacks
+ * - Resumable sessions that replay updates missed while disconnected
+ * - Connection status events and indicators, with jittered reconnect backoff
+ * - Protocol negotiation with deduplicated HTML fragments and message size metrics
  * - Event handling and action dispatch
  * - Update queue management
- * - Mutation observer for dynamic content
+ * - Mutation observer for dynamic content, releasing removed components
  */
 
 (function(window) {
@@ -18,287 +41,2921 @@
   const RECONNECT_DELAY = 1000;
   const MAX_RECONNECT_DELAY = 30000;
   const HEARTBEAT_INTERVAL = 30000;
+  const FALLBACK_ATTEMPTS = 3;
+  const ACTION_TIMEOUT = 10000;
+  const LOADING_CLASS = 'amber-loading';
+  const RATE_LIMIT_WAIT = 300;
+  const UPLOAD_CHUNK_SIZE = 64 * 1024;
+  const INVALID_CLASS = 'amber-invalid';
+  const CONNECTION_STATUSES = ['connecting', 'connected', 'reconnecting', 'disconnected'];
+  const INTERACTION_EVENTS = ['pointerover', 'focusin', 'touchstart'];
+  const MAX_POLL_DELAY = 5 * 60 * 1000;
+  const PROTOCOL_VERSION = 2;
+  const FRAGMENT_LIMIT = 128;
 
-  class AmberReactive {
-    constructor(options = {}) {
-      this.options = {
-        url: options.url || this._buildWebSocketUrl(),
-        debug: options.debug || false,
-        reconnect: options.reconnect !== false,
-        heartbeat: options.heartbeat !== false,
-        morphdom: options.morphdom || window.morphdom,
-        ...options
-      };
+  const DELEGATED_EVENTS = [
+    'click', 'submit', 'input', 'change', 'keydown', 'keyup',
+    'focus', 'blur', 'mouseenter', 'mouseleave'
+  ];
 
-      this.components = new Map();
+  // Delegated through capture; only the event target's own bindings apply
+  const NON_BUBBLING_EVENTS = ['focus', 'blur', 'mouseenter', 'mouseleave'];
+
+  const EVENT_MODIFIERS = ['prevent', 'stop', 'once', 'self'];
+  const SYSTEM_KEYS = ['ctrl', 'shift', 'alt', 'meta'];
+
+  const KEY_ALIASES = {
+    enter: 'enter',
+    esc: 'escape',
+    escape: 'escape',
+    space: ' ',
+    tab: 'tab',
+    up: 'arrowup',
+    down: 'arrowdown',
+    left: 'arrowleft',
+    right: 'arrowright',
+    backspace: 'backspace',
+    delete: 'delete'
+  };
+
+  // Parse an action descriptor: "event[.modifier[.arg]...]->method",
+  // e.g. "click->increment", "input.debounce.300->search" or
+  // "keydown.ctrl.enter.prevent->send_message"
+  function parseActionDescriptor(descriptor) {
+    const [eventPart, method] = descriptor.split('->');
+    const [eventType, ...modifiers] = eventPart.split('.');
+    const binding = {
+      descriptor,
+      eventType,
+      method,
+      debounce: null,
+      throttle: null,
+      prevent: false,
+      stop: false,
+      once: false,
+      self: false,
+      systemKeys: [],
+      keys: []
+    };
+
+    for (let i = 0; i < modifiers.length; i++) {
+      const modifier = modifiers[i];
+
+      if (modifier === 'debounce' || modifier === 'throttle') {
+        const wait = parseInt(modifiers[i + 1], 10);
+
+        if (isNaN(wait)) {
+          binding[modifier] = RATE_LIMIT_WAIT;
+        } else {
+          binding[modifier] = wait;
+          i++;
+        }
+      } else if (EVENT_MODIFIERS.includes(modifier)) {
+        binding[modifier] = true;
+      } else if (SYSTEM_KEYS.includes(modifier)) {
+        binding.systemKeys.push(modifier);
+      } else {
+        binding.keys.push(KEY_ALIASES[modifier] || modifier);
+      }
+    }
+
+    return binding;
+  }
+
+  // Space-separated bindings, e.g. "input->update_draft keydown.enter->send_message"
+  function parseActionBindings(action) {
+    return action.trim().split(/\s+/).filter(Boolean).map(parseActionDescriptor);
+  }
+
+  // Binding expressions are dotted state paths, optionally negated:
+  // "count", "user.name", "!is_open"
+  function parseBindingPath(expression) {
+    const trimmed = expression.trim();
+    const negate = trimmed.startsWith('!');
+    const path = (negate ? trimmed.slice(1) : trimmed).split('.').filter(Boolean);
+    return { negate, path };
+  }
+
+  // Value at a state path, or undefined if any part is missing
+  function readPath(state, path) {
+    return path.reduce((node, key) => {
+      return node !== null && node !== undefined ? node[key] : undefined;
+    }, state);
+  }
+
+  function writePath(state, path, value) {
+    const last = path[path.length - 1];
+    let node = state;
+
+    path.slice(0, -1).forEach(key => {
+      if (node[key] === null || typeof node[key] !== 'object') node[key] = {};
+      node = node[key];
+    });
+
+    node[last] = value;
+  }
+
+  function truthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  // Local state operations bound like actions: "$toggle:is_open",
+  // "$set:tab=settings", or "$set:query" to take the element's value
+  function parseLocalOperation(method) {
+    const match = method.match(/^\$(\w+):([^=]+)(?:=(.*))?$/);
+    if (!match) return null;
+
+    return {
+      op: match[1],
+      path: match[2].split('.').filter(Boolean),
+      value: match[3] === undefined ? undefined : coerceParam(match[3])
+    };
+  }
+
+  // Coerce a data-param-* string to the JSON value it spells, keeping ids
+  // with leading zeros (and everything else) as strings
+  function coerceParam(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null') return null;
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+  }
+
+  // Split a field name into its path: "user[address][city]" ->
+  // ["user", "address", "city"], "tags[]" -> ["tags", ""]
+  function fieldPath(name) {
+    const match = name.match(/^([^[\]]+)((?:\[[^[\]]*\])*)$/);
+    if (!match) return [name];
+
+    const path = [match[1]];
+    match[2].replace(/\[([^[\]]*)\]/g, (_, key) => path.push(key));
+    return path;
+  }
+
+  // Assign a value at a field name's path. Repeated names collect into an
+  // array, "[]" appends, and `asArray` makes the field an array even when
+  // it ends up with a single value (or none, when value is undefined).
+  function assignField(fields, name, value, asArray = false) {
+    const path = fieldPath(name);
+    const last = path.pop();
+    let node = fields;
+
+    path.forEach((key, index) => {
+      const nextKey = index + 1 < path.length ? path[index + 1] : last;
+
+      // "items[][name]": start a new object once the current one has the key
+      if (key === '' && Array.isArray(node)) {
+        const item = node[node.length - 1];
+
+        if (item && typeof item === 'object' && !(nextKey in item)) {
+          node = item;
+        } else {
+          const next = {};
+          node.push(next);
+          node = next;
+        }
+        return;
+      }
+
+      if (node[key] === null || typeof node[key] !== 'object') {
+        node[key] = nextKey === '' ? [] : {};
+      }
+      node = node[key];
+    });
+
+    if (last === '') {
+      if (value !== undefined) node.push(value);
+      return;
+    }
+
+    if (asArray && !Array.isArray(node[last])) {
+      node[last] = node[last] === undefined ? [] : [node[last]];
+    }
+
+    if (value === undefined) return;
+
+    if (node[last] === undefined) {
+      node[last] = value;
+    } else if (Array.isArray(node[last])) {
+      node[last].push(value);
+    } else {
+      node[last] = [node[last], value];
+    }
+  }
+
+  // File contents aren't sent with actions, only what describes them
+  function fileMetadata(file) {
+    return {
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      lastModified: file.lastModified
+    };
+  }
+
+  // Check a file against an input's accept attribute
+  // (".png", "image/*" or "application/pdf" entries)
+  function acceptsFile(accept, file) {
+    const name = file.name.toLowerCase();
+    const type = (file.type || '').toLowerCase();
+
+    return accept.split(',')
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean)
+      .some(entry => {
+        if (entry.startsWith('.')) return name.endsWith(entry);
+        if (entry.endsWith('/*')) return type.startsWith(entry.slice(0, -1));
+        return type === entry;
+      });
+  }
+
+  // Base64-encode a Blob for sending inside a JSON message
+  function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      // Result is a data: URL; keep what follows the comma
+      reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Key filters only constrain keyboard events
+  function keyMatches(binding, event) {
+    if (event.key === undefined) return true;
+
+    if (!binding.systemKeys.every(key => event[`${key}Key`])) return false;
+
+    return binding.keys.length === 0 || binding.keys.includes(event.key.toLowerCase());
+  }
+
+  // Wait from a data-debounce / data-throttle attribute, if present
+  function rateLimitAttribute(element, name) {
+    const value = element.dataset[name];
+    if (value === undefined) return null;
+
+    const wait = parseInt(value, 10);
+    return isNaN(wait) ? RATE_LIMIT_WAIT : wait;
+  }
+
+  // POST a JSON message (or one already serialized), resolving with the
+  // response and its parsed body
+  function postJSON(url, message) {
+    return fetch(url, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: typeof message === 'string' ? message : JSON.stringify(message)
+    }).then(response => {
+      return response.json()
+        .catch(() => ({}))
+        .then(body => ({ response, body }));
+    });
+  }
+
+  // UTF-8 size of a string, for message size metrics
+  function byteLength(string) {
+    let bytes = 0;
+
+    for (let i = 0; i < string.length; i++) {
+      const code = string.charCodeAt(i);
+
+      if (code < 0x80) {
+        bytes += 1;
+      } else if (code < 0x800) {
+        bytes += 2;
+      } else if (code >= 0xd800 && code < 0xdc00) {
+        // Surrogate pair
+        bytes += 4;
+        i++;
+      } else {
+        bytes += 3;
+      }
+    }
+
+    return bytes;
+  }
+
+  // Undo the server's "fragments" encoding in place. An "html" value of
+  // {"$f": n, "v": html} numbers a fragment and {"$f": n} repeats one;
+  // fragment n is forgotten once n + limit has been numbered, as on the
+  // server.
+  function expandFragments(node, fragments, limit, key = null) {
+    if (Array.isArray(node)) {
+      node.forEach((value, index) => {
+        node[index] = expandFragments(value, fragments, limit);
+      });
+    } else if (node && typeof node === 'object') {
+      if (key === 'html' && typeof node.$f === 'number') {
+        if (typeof node.v === 'string') {
+          fragments.set(node.$f, node.v);
+          fragments.delete(node.$f - limit);
+        }
+
+        if (!fragments.has(node.$f)) {
+          throw new Error(`Unknown fragment ${node.$f}`);
+        }
+        return fragments.get(node.$f);
+      }
+
+      Object.keys(node).forEach(name => {
+        node[name] = expandFragments(node[name], fragments, limit, name);
+      });
+    }
+
+    return node;
+  }
+
+  // URL on the action path for a message, scoped to its component if any
+  function actionUrl(client, message) {
+    const base = client.options.actionUrl;
+    return message.componentId ? `${base}/${encodeURIComponent(message.componentId)}` : base;
+  }
+
+  // Transport over a persistent WebSocket connection
+  class WebSocketTransport {
+    constructor(client) {
+      this.client = client;
+      this.name = 'websocket';
+      this.heartbeat = true;
       this.socket = null;
-      this.connected = false;
-      this.reconnectDelay = RECONNECT_DELAY;
-      this.reconnectTimer = null;
-      this.heartbeatTimer = null;
-      this.messageQueue = [];
-      this.sessionId = this._generateSessionId();
+      this.opened = false;
+    }
 
-      this._bindMethods();
-      this._setupMutationObserver();
+    connect() {
+      this.socket = new WebSocket(this.client.options.url);
+
+      this.socket.onopen = () => {
+        this.opened = true;
+        this.client._onTransportOpen(this);
+      };
+
+      this.socket.onclose = () => {
+        this.client._onTransportClose(this, this.opened);
+      };
+
+      this.socket.onerror = (error) => {
+        this.client._log('error', 'WebSocket error:', error);
+      };
+
+      this.socket.onmessage = (event) => {
+        try {
+          this.client._onTransportFrame(this, event.data);
+        } catch (error) {
+          this.client._log('error', 'Failed to parse message:', error);
+        }
+      };
     }
 
-    // Initialize the reactive system
-    init() {
-      this._connect();
-      this._scanForComponents();
-      this._setupEventDelegation();
-      
-      if (this.options.debug) {
-        console.log('AmberReactive initialized', {
-          sessionId: this.sessionId,
-          url: this.options.url
+    isOpen() {
+      return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    send(message) {
+      this.socket.send(this.client._frame(message));
+    }
+
+    close() {
+      if (this.socket) {
+        this.socket.close();
+      }
+    }
+  }
+
+  // Transport that POSTs actions to ReactiveHandler's HTTP fallback endpoint.
+  // Refreshes (e.g. for lazy placeholders) are sent as a refresh action,
+  // which answers with the full HTML; other messages are dropped.
+  class HttpTransport {
+    constructor(client) {
+      this.client = client;
+      this.name = 'http';
+      this.heartbeat = false;
+      this.opened = false;
+    }
+
+    connect() {
+      this.opened = true;
+      this.client._onTransportOpen(this);
+    }
+
+    isOpen() {
+      return this.opened;
+    }
+
+    send(message) {
+      if (message.type === 'action') {
+        this._post(message);
+      } else if (message.type === 'refresh') {
+        this._post({
+          type: 'action',
+          componentId: message.componentId,
+          method: 'refresh',
+          event: { type: 'refresh' }
         });
       }
     }
 
-    // Connect to WebSocket server
-    _connect() {
-      if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+    close() {
+      if (!this.opened) return;
+
+      this.opened = false;
+      this.client._onTransportClose(this, true);
+    }
+
+    // Translate the {success, componentId, html, state} response into the
+    // same messages the WebSocket transport would deliver
+    _post(message) {
+      postJSON(actionUrl(this.client, message), this.client._frame(message))
+        .then(({ response, body }) => {
+          if (response.ok && body.success) {
+            this.client._onTransportMessage(this, {
+              type: 'update',
+              ref: message.ref,
+              componentId: body.componentId,
+              html: body.html,
+              state: body.state
+            });
+          } else {
+            this.client._onTransportMessage(this, {
+              type: 'error',
+              ref: message.ref,
+              componentId: message.componentId,
+              message: body.error || `HTTP ${response.status}`
+            });
+          }
+        })
+        .catch(error => {
+          this.client._onTransportMessage(this, {
+            type: 'error',
+            ref: message.ref,
+            componentId: message.componentId,
+            message: error.message
+          });
+        });
+    }
+  }
+
+  // Transport that receives pushes over an EventSource stream and POSTs
+  // every client message to the same URL, tagged with the session id and
+  // the token the stream announced. The server replies over the stream, so
+  // POST responses only carry failures.
+  class SSETransport {
+    constructor(client) {
+      this.client = client;
+      this.name = 'sse';
+      this.heartbeat = false;
+      this.source = null;
+      this.token = null;
+      this.opened = false;
+      // POSTs go out one at a time so the server handles them in order:
+      // the registration first, then what was queued while offline
+      this.sending = Promise.resolve();
+    }
+
+    connect() {
+      const url = new URL(this.client.options.sseUrl, window.location.href);
+      url.searchParams.set('sessionId', this.client.sessionId);
+
+      // Lets the new stream take over one the server hasn't seen close yet
+      if (this.client.options.resume && this.client.sessionToken) {
+        url.searchParams.set('token', this.client.sessionToken);
+      }
+
+      this.source = new EventSource(url.toString());
+
+      // The stream is usable once it has told us the token to POST with
+      this.source.addEventListener('session', (event) => {
+        this.token = JSON.parse(event.data).token;
+
+        if (!this.opened) {
+          this.opened = true;
+          this.client._onTransportOpen(this);
+        }
+      });
+
+      // EventSource retries on its own, but reconnection goes through the
+      // client so components are registered again on the new stream
+      this.source.onerror = () => {
+        this.close();
+      };
+
+      this.source.onmessage = (event) => {
+        try {
+          this.client._onTransportFrame(this, event.data);
+        } catch (error) {
+          this.client._log('error', 'Failed to parse message:', error);
+        }
+      };
+    }
+
+    isOpen() {
+      return this.opened;
+    }
+
+    send(message) {
+      const payload = { ...message, sessionId: this.client.sessionId, streamToken: this.token };
+      const frame = this.client._frame(payload);
+
+      this.sending = this.sending
+        .then(() => postJSON(this.client.options.sseUrl, frame))
+        .then(({ response, body }) => {
+          if (!response.ok) {
+            this.client._onTransportMessage(this, {
+              type: 'error',
+              ref: message.ref,
+              componentId: message.componentId,
+              message: body.error || `HTTP ${response.status}`
+            });
+          }
+        })
+        .catch(error => {
+          this.client._log('error', 'Failed to send message:', error);
+        });
+    }
+
+    close() {
+      if (!this.source) return;
+
+      const wasOpen = this.opened;
+      this.source.close();
+      this.source = null;
+      this.token = null;
+      this.opened = false;
+      this.client._onTransportClose(this, wasOpen);
+    }
+  }
+
+  // Built-in keyed DOM morphing, used when morphdom isn't loaded. Same call
+  // shape as morphdom(fromNode, html, {onBeforeElUpdated}); elements are
+  // updated in place, and children carrying data-key or id are matched by
+  // key so reordered lists move nodes instead of re-creating them.
+  function morph(fromEl, html, options = {}) {
+    const template = document.createElement('template');
+    template.innerHTML = typeof html === 'string' ? html.trim() : html.outerHTML;
+
+    const toEl = template.content.firstElementChild;
+    if (!toEl) return fromEl;
+
+    // Different root tag: nothing to morph, swap the element
+    if (fromEl.tagName !== toEl.tagName) {
+      fromEl.replaceWith(toEl);
+      return toEl;
+    }
+
+    morphElement(fromEl, toEl, options);
+    return fromEl;
+  }
+
+  // Selector for elements with the given data-key
+  function keySelector(key) {
+    return `[data-key="${String(key).replace(/["\\]/g, '\\$&')}"]`;
+  }
+
+  function morphKey(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+    return node.getAttribute('data-key') || node.id || null;
+  }
+
+  function sameNodeType(fromNode, toNode) {
+    return fromNode.nodeType === toNode.nodeType &&
+      (fromNode.nodeType !== Node.ELEMENT_NODE || fromNode.tagName === toNode.tagName);
+  }
+
+  function morphElement(fromEl, toEl, options) {
+    if (options.onBeforeElUpdated && options.onBeforeElUpdated(fromEl, toEl) === false) {
+      return;
+    }
+
+    morphAttributes(fromEl, toEl);
+
+    if (fromEl.tagName === 'TEXTAREA') {
+      if (fromEl.value !== toEl.value) fromEl.value = toEl.value;
+      return;
+    }
+
+    morphChildren(fromEl, toEl, options);
+    morphFormState(fromEl, toEl);
+  }
+
+  function morphAttributes(fromEl, toEl) {
+    Array.from(fromEl.attributes).forEach(attribute => {
+      if (!toEl.hasAttribute(attribute.name)) {
+        fromEl.removeAttribute(attribute.name);
+      }
+    });
+
+    Array.from(toEl.attributes).forEach(attribute => {
+      if (fromEl.getAttribute(attribute.name) !== attribute.value) {
+        fromEl.setAttribute(attribute.name, attribute.value);
+      }
+    });
+  }
+
+  // Properties that drift from their attributes once the user interacts
+  function morphFormState(fromEl, toEl) {
+    switch (fromEl.tagName) {
+      case 'INPUT':
+        if (fromEl.type === 'file') break;
+        if (fromEl.value !== toEl.value) fromEl.value = toEl.value;
+        fromEl.checked = toEl.checked;
+        break;
+
+      case 'SELECT': {
+        const options = Array.from(fromEl.options);
+        options.forEach(option => {
+          option.selected = option.hasAttribute('selected');
+        });
+
+        if (!fromEl.multiple && options.length > 0 && !options.some(option => option.selected)) {
+          fromEl.selectedIndex = 0;
+        }
+        break;
+      }
+    }
+  }
+
+  function morphChildren(fromParent, toParent, options) {
+    const keyed = new Map();
+    Array.from(fromParent.childNodes).forEach(node => {
+      const key = morphKey(node);
+      if (key) keyed.set(key, node);
+    });
+
+    let cursor = fromParent.firstChild;
+
+    Array.from(toParent.childNodes).forEach(toNode => {
+      const key = morphKey(toNode);
+      let match = null;
+
+      if (key) {
+        const candidate = keyed.get(key);
+        if (candidate && sameNodeType(candidate, toNode)) {
+          match = candidate;
+          keyed.delete(key);
+        }
+      } else if (cursor && !morphKey(cursor) && sameNodeType(cursor, toNode)) {
+        match = cursor;
+      }
+
+      if (!match) {
+        fromParent.insertBefore(toNode, cursor);
         return;
       }
 
-      try {
-        this.socket = new WebSocket(this.options.url);
-        this._setupSocketHandlers();
-      } catch (error) {
-        this._log('error', 'Failed to connect:', error);
-        this._scheduleReconnect();
+      if (match === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        fromParent.insertBefore(match, cursor);
+      }
+
+      if (match.nodeType === Node.ELEMENT_NODE) {
+        morphElement(match, toNode, options);
+      } else if (match.nodeValue !== toNode.nodeValue) {
+        match.nodeValue = toNode.nodeValue;
+      }
+    });
+
+    // Whatever is left was not in the new HTML
+    while (cursor) {
+      const next = cursor.nextSibling;
+      fromParent.removeChild(cursor);
+      cursor = next;
+    }
+  }
+
+  // Built-in client commands, invoked as fn(args, reactive)
+  const BUILTIN_COMMANDS = {
+    focus(args) {
+      const element = document.querySelector(args.selector);
+      if (element) element.focus();
+    },
+
+    scrollTo(args) {
+      if (args.selector) {
+        const element = document.querySelector(args.selector);
+        if (element) {
+          element.scrollIntoView({
+            behavior: args.behavior || 'auto',
+            block: args.block || 'start'
+          });
+        }
+      } else {
+        window.scrollTo({
+          top: args.top || 0,
+          left: args.left || 0,
+          behavior: args.behavior || 'auto'
+        });
+      }
+    },
+
+    redirect(args) {
+      if (args.replace) {
+        window.location.replace(args.url);
+      } else {
+        window.location.assign(args.url);
+      }
+    },
+
+    dispatchEvent(args) {
+      const target = args.selector ? document.querySelector(args.selector) : document;
+      if (!target) return;
+
+      target.dispatchEvent(new CustomEvent(args.event, {
+        detail: args.detail,
+        bubbles: args.bubbles !== false
+      }));
+    },
+
+    setAttribute(args) {
+      document.querySelectorAll(args.selector).forEach(element => {
+        if (args.value === null || args.value === false) {
+          element.removeAttribute(args.name);
+        } else {
+          element.setAttribute(args.name, args.value === true ? '' : args.value);
+        }
+      });
+    }
+  };
+
+  // Built-in validation rules for data-validate, invoked as
+  // fn(value, arg, field) and returning an error message or null.
+  // Empty values only fail `required`.
+  const BUILTIN_VALIDATORS = {
+    required(value, arg, field) {
+      if (field.type === 'radio') {
+        const group = field.form
+          ? Array.from(field.form.elements).filter(radio => radio.type === 'radio' && radio.name === field.name)
+          : [field];
+        return group.some(radio => radio.checked) ? null : 'This field is required';
+      }
+
+      const empty = Array.isArray(value) ? value.length === 0 : value === null || String(value).trim() === '';
+      return empty ? 'This field is required' : null;
+    },
+
+    email(value) {
+      if (!value) return null;
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'Please enter a valid email address';
+    },
+
+    url(value) {
+      if (!value) return null;
+
+      try {
+        new URL(value);
+        return null;
+      } catch (error) {
+        return 'Please enter a valid URL';
+      }
+    },
+
+    numeric(value) {
+      if (!value) return null;
+      return isNaN(Number(value)) ? 'Please enter a number' : null;
+    },
+
+    integer(value) {
+      if (!value) return null;
+      return /^-?\d+$/.test(value) ? null : 'Please enter a whole number';
+    },
+
+    // Value for number and range inputs, length for everything else
+    min(value, arg, field) {
+      if (!value) return null;
+
+      const limit = Number(arg);
+      if (field.type === 'number' || field.type === 'range') {
+        return Number(value) < limit ? `Must be at least ${limit}` : null;
+      }
+      return value.length < limit ? `Must be at least ${limit} characters` : null;
+    },
+
+    max(value, arg, field) {
+      if (!value) return null;
+
+      const limit = Number(arg);
+      if (field.type === 'number' || field.type === 'range') {
+        return Number(value) > limit ? `Must be at most ${limit}` : null;
+      }
+      return value.length > limit ? `Must be at most ${limit} characters` : null;
+    },
+
+    // Must equal another field of the same form, e.g. "same:password"
+    same(value, arg, field) {
+      const other = field.form && field.form.elements.namedItem(arg);
+      return other && other.value !== value ? 'Does not match' : null;
+    }
+  };
+
+  // "required|email|min:3" -> [{name: 'required'}, ..., {name: 'min', arg: '3'}]
+  function parseValidationRules(rules) {
+    return rules.split('|').filter(Boolean).map(rule => {
+      const index = rule.indexOf(':');
+      return index === -1
+        ? { name: rule.trim(), arg: null }
+        : { name: rule.slice(0, index).trim(), arg: rule.slice(index + 1) };
+    });
+  }
+
+  // Server errors come as {field: message} or {field: [messages]}
+  function normalizeErrors(errors) {
+    const normalized = {};
+
+    Object.keys(errors || {}).forEach(name => {
+      const messages = [].concat(errors[name]).filter(Boolean).map(String);
+      if (messages.length > 0) normalized[name] = messages;
+    });
+
+    return normalized;
+  }
+
+  const TRANSPORTS = {
+    websocket: WebSocketTransport,
+    http: HttpTransport,
+    sse: SSETransport
+  };
+
+  // Client-side definitions by component type (see AmberReactive.register),
+  // and the initialized clients they are attached through
+  const COMPONENT_DEFINITIONS = new Map();
+  const CLIENTS = new Set();
+
+  // Types are full Crystal class names; definitions may use the short name
+  function componentDefinition(type) {
+    return COMPONENT_DEFINITIONS.get(type) || COMPONENT_DEFINITIONS.get(type.split('::').pop());
+  }
+
+  // Who is present in a topic, as reported by the server. Returned by
+  // AmberReactive#presence; join() adds this client with some metadata.
+  class Presence {
+    constructor(client, topic) {
+      this.client = client;
+      this.topic = topic;
+      this.meta = null;
+      // Our own id in the topic, an opaque key the server hands out
+      this.key = null;
+      this.state = new Map();
+      this.joinHandlers = new Set();
+      this.leaveHandlers = new Set();
+    }
+
+    // Join, or update this client's metadata (e.g. a typing flag)
+    join(meta = {}) {
+      this.meta = meta;
+
+      // Otherwise sent once connected
+      if (this.client.connected) {
+        this.client._send({ type: 'presence_join', topic: this.topic, meta });
+      }
+
+      return this;
+    }
+
+    leave() {
+      if (this.meta === null) return;
+
+      this.meta = null;
+      this.client._send({ type: 'presence_leave', topic: this.topic });
+    }
+
+    // handler(id, meta, previousMeta); previousMeta is set when an existing
+    // member changed their metadata. Returns a function removing the handler.
+    onJoin(handler) {
+      this.joinHandlers.add(handler);
+      return () => this.joinHandlers.delete(handler);
+    }
+
+    // handler(id, meta)
+    onLeave(handler) {
+      this.leaveHandlers.add(handler);
+      return () => this.leaveHandlers.delete(handler);
+    }
+
+    // [{id, meta, self}] for everyone present
+    list() {
+      return Array.from(this.state, ([id, meta]) => ({ id, meta, self: id === this.key }));
+    }
+
+    // Full state, sent when joining (again, after a reconnect). Only the
+    // differences from what we had fire callbacks.
+    _syncState(presences, key) {
+      if (key) this.key = key;
+
+      const leaves = {};
+
+      this.state.forEach((meta, id) => {
+        if (!(id in presences)) leaves[id] = meta;
+      });
+
+      this._syncDiff(presences, leaves);
+    }
+
+    _syncDiff(joins, leaves) {
+      Object.entries(leaves || {}).forEach(([id, meta]) => {
+        if (joins && id in joins) return;
+        if (!this.state.has(id)) return;
+
+        this.state.delete(id);
+        this._notify(this.leaveHandlers, id, meta);
+      });
+
+      Object.entries(joins || {}).forEach(([id, meta]) => {
+        const previous = this.state.get(id);
+        if (previous !== undefined && JSON.stringify(previous) === JSON.stringify(meta)) return;
+
+        this.state.set(id, meta);
+        this._notify(this.joinHandlers, id, meta, previous);
+      });
+    }
+
+    _notify(handlers, ...args) {
+      handlers.forEach(handler => {
+        try {
+          handler(...args);
+        } catch (error) {
+          this.client._log('error', `Presence handler for ${this.topic} failed:`, error);
+        }
+      });
+    }
+  }
+
+  class AmberReactive {
+    constructor(options = {}) {
+      this.options = {
+        url: options.url || this._buildWebSocketUrl(),
+        actionUrl: options.actionUrl || '/components/action',
+        sseUrl: options.sseUrl || '/components/events',
+        transport: options.transport || 'auto',
+        fallbackAttempts: options.fallbackAttempts || FALLBACK_ATTEMPTS,
+        debug: options.debug || false,
+        reconnect: options.reconnect !== false,
+        heartbeat: options.heartbeat !== false,
+        morphdom: options.morphdom || window.morphdom,
+        allowEval: options.allowEval || false,
+        actionTimeout: options.actionTimeout || ACTION_TIMEOUT,
+        loadingClass: options.loadingClass || LOADING_CLASS,
+        uploadUrl: options.uploadUrl || '/components/upload',
+        uploadChunkSize: options.uploadChunkSize || UPLOAD_CHUNK_SIZE,
+        invalidClass: options.invalidClass || INVALID_CLASS,
+        resume: options.resume !== false,
+        maxReconnectAttempts: options.maxReconnectAttempts || Infinity,
+        encoding: options.encoding || 'fragments',
+        ...options
+      };
+
+      this.components = new Map();
+      this.commands = new Map(Object.entries(BUILTIN_COMMANDS));
+      this.validators = new Map(Object.entries(BUILTIN_VALIDATORS));
+      this.formErrors = new Map();
+      this.transport = null;
+      this.failedConnects = 0;
+      this.connected = false;
+      this.reconnectDelay = RECONNECT_DELAY;
+      this.reconnectTimer = null;
+      this.reconnectAttempts = 0;
+      // Set by disconnect() until reconnect(), whatever options.reconnect says
+      this.stopped = false;
+      this.currentStatus = 'disconnected';
+      this.statusHandlers = new Set();
+      this.heartbeatTimer = null;
+      this.messageQueue = [];
+      this.pendingActions = new Map();
+      this.refCounter = 0;
+      this.busyElements = new WeakMap();
+      this.rateLimits = new WeakMap();
+      this.firedOnce = new WeakMap();
+      this.uploads = new Map();
+      this.subscriptions = new Map();
+      this.presences = new Map();
+      this.deferredComponents = new Map();
+      this.lazyObserver = null;
+
+      // Wire format agreed with the server at registration
+      this.protocol = 1;
+      this.encoding = 'json';
+      this.fragments = new Map();
+      this.fragmentLimit = FRAGMENT_LIMIT;
+      this.messageSizes = {
+        sent: { messages: 0, bytes: 0, jsonBytes: 0 },
+        received: { messages: 0, bytes: 0, jsonBytes: 0 }
+      };
+      this.sizeHandlers = new Set();
+
+      // Resume state lives as long as the page. A reload, navigation or
+      // duplicated tab starts a new session, so replays and refs never
+      // reach a page they weren't meant for.
+      this.sessionId = this._generateSessionId();
+      this.sessionToken = null;
+      this.lastSeq = 0;
+
+      this._bindMethods();
+      this._setupMutationObserver();
+    }
+
+    // Attach a client-side class to component roots of a type. `definition`
+    // is a class or an object of hooks; each root gets its own instance,
+    // with `id`, `type`, `element`, `state` and `reactive` set:
+    //
+    //   connected()          the root was found on the page
+    //   beforeUpdate(state)  an update or patch is about to be applied
+    //   updated(state)       it was applied
+    //   disconnected()       the root left the page
+    static register(type, definition) {
+      COMPONENT_DEFINITIONS.set(type, definition);
+
+      // Components already on the page get it too
+      CLIENTS.forEach(client => {
+        client.components.forEach(component => {
+          if (componentDefinition(component.type) === definition && component.element.isConnected) {
+            client._connectComponent(component);
+          }
+        });
+      });
+    }
+
+    // Initialize the reactive system
+    init() {
+      CLIENTS.add(this);
+      this._connect();
+      this._scanForComponents();
+      this._setupEventDelegation();
+      this._startObserving();
+
+      // Polls skipped while the tab was hidden catch up when it's shown
+      document.addEventListener('visibilitychange', this._resumePolling);
+      
+      if (this.options.debug) {
+        console.log('AmberReactive initialized', {
+          sessionId: this.sessionId,
+          url: this.options.url,
+          transport: this._transportType()
+        });
+      }
+    }
+
+    // Underlying WebSocket, when connected over the WebSocket transport
+    get socket() {
+      return (this.transport && this.transport.socket) || null;
+    }
+
+    // 'connecting', 'connected', 'reconnecting' or 'disconnected'
+    get status() {
+      return this.currentStatus;
+    }
+
+    // Connect to the server using the current transport
+    _connect() {
+      if (this.transport && this.transport.isOpen()) {
+        return;
+      }
+
+      // Attempts during a reconnect keep reporting 'reconnecting'
+      if (this.currentStatus !== 'reconnecting') {
+        this._setStatus('connecting');
+      }
+
+      const Transport = TRANSPORTS[this._transportType()];
+
+      if (!Transport) {
+        this._log('error', 'Unknown transport:', this.options.transport);
+        return;
+      }
+
+      this.transport = new Transport(this);
+
+      try {
+        this.transport.connect();
+      } catch (error) {
+        this._log('error', 'Failed to connect:', error);
+        this._onTransportClose(this.transport, false);
+      }
+    }
+
+    // Pick a transport. In 'auto' mode WebSockets are preferred until
+    // they fail to open `fallbackAttempts` times in a row (typically a
+    // proxy rejecting the upgrade), after which actions go over HTTP.
+    _transportType() {
+      if (this.options.transport !== 'auto') {
+        return this.options.transport;
+      }
+
+      if (!window.WebSocket || this.failedConnects >= this.options.fallbackAttempts) {
+        return 'http';
+      }
+
+      return 'websocket';
+    }
+
+    // Transport callbacks
+    _onTransportOpen(transport) {
+      if (transport !== this.transport) return;
+
+      this.connected = true;
+      this.failedConnects = 0;
+      this.reconnectDelay = RECONNECT_DELAY;
+      this.reconnectAttempts = 0;
+      this._log('info', `Connected to server via ${transport.name}`);
+      this._setStatus('connected', { transport: transport.name });
+      this._resumePolling();
+
+      // Each connection starts over with plain JSON and no fragments,
+      // until the server answers with what it supports
+      this.protocol = 1;
+      this.encoding = 'json';
+      this.fragments = new Map();
+      
+      // Send registration message
+      this._send({
+        type: 'register',
+        sessionId: this.sessionId,
+        components: Array.from(this.components.keys()),
+        topics: Array.from(this.subscriptions.keys()),
+        token: this.options.resume ? this.sessionToken : null,
+        lastSeq: this.lastSeq,
+        protocol: PROTOCOL_VERSION,
+        encodings: Array.from(new Set([this.options.encoding, 'json']))
+      });
+
+      // Rejoin presence topics; the server answers with the current state
+      this.presences.forEach(presence => {
+        if (presence.meta !== null) presence.join(presence.meta);
+      });
+
+      // Process queued messages
+      this._flushMessageQueue();
+
+      // Start heartbeat
+      if (this.options.heartbeat && transport.heartbeat) {
+        this._startHeartbeat();
+      }
+    }
+
+    _onTransportClose(transport, wasOpen) {
+      if (transport !== this.transport) return;
+
+      this.connected = false;
+      this._stopHeartbeat();
+      this._log('info', 'Disconnected from server');
+
+      // The server drops unfinished chunked uploads with the connection
+      this.uploads.forEach(upload => {
+        if (!upload.xhr) this._failUpload(upload.id, 'Connection lost');
+      });
+
+      if (!wasOpen) {
+        this.failedConnects++;
+      }
+
+      const reconnect = this.options.reconnect && !this.stopped;
+
+      if (wasOpen || !reconnect) {
+        this._setStatus('disconnected');
+      }
+      
+      if (!reconnect) return;
+
+      if (this._transportType() !== transport.name) {
+        this._log('warn', `Falling back to ${this._transportType()} transport`);
+        this._connect();
+      } else {
+        this._scheduleReconnect();
+      }
+    }
+
+    // A raw frame from the server: decode it and record its size
+    _onTransportFrame(transport, data) {
+      if (transport !== this.transport) return;
+
+      const message = JSON.parse(data);
+      const bytes = byteLength(data);
+      let jsonBytes = bytes;
+
+      if (data.indexOf('"$f"') !== -1) {
+        try {
+          expandFragments(message, this.fragments, this.fragmentLimit);
+        } catch (error) {
+          // Our fragments no longer match the server's, and every later
+          // reference would fail too. Reconnecting starts both sides over,
+          // and since this message was never counted as seen it is replayed.
+          this._log('warn', 'Fragment decoding failed, reconnecting:', error);
+          this.fragments = new Map();
+          transport.close();
+          return;
+        }
+
+        jsonBytes = byteLength(JSON.stringify(message));
+      }
+
+      this._recordSize('received', message.type, bytes, jsonBytes);
+      this._onTransportMessage(transport, message);
+    }
+
+    // Serialize a message for the server and record its size
+    _frame(message) {
+      const data = JSON.stringify(message);
+      const bytes = byteLength(data);
+
+      this._recordSize('sent', message.type, bytes, bytes);
+      return data;
+    }
+
+    _recordSize(direction, type, bytes, jsonBytes) {
+      const totals = this.messageSizes[direction];
+      totals.messages++;
+      totals.bytes += bytes;
+      totals.jsonBytes += jsonBytes;
+
+      const info = { direction, type, bytes, jsonBytes };
+      this.sizeHandlers.forEach(handler => {
+        try {
+          handler(info);
+        } catch (error) {
+          this._log('error', 'Message size handler failed:', error);
+        }
+      });
+    }
+
+    _onTransportMessage(transport, message) {
+      if (transport !== this.transport) return;
+      if (!this._sequence(message)) return;
+
+      this._handleMessage(message);
+    }
+
+    // Track the server's sequence numbers so a resumed session can ask for
+    // what it missed. Returns false for a message already handled.
+    _sequence(message) {
+      if (typeof message.seq !== 'number') return true;
+
+      // Registration starts (or continues) the sequence
+      if (message.type !== 'registered' && message.seq <= this.lastSeq) return false;
+
+      this.lastSeq = message.seq;
+      return true;
+    }
+
+    // Handle incoming messages
+    _handleMessage(message) {
+      this._log('debug', 'Received message:', message);
+
+      switch (message.type) {
+        case 'update':
+          this._updateComponent(message.componentId, message.html, message.state);
+          this._resolveAction(message.ref, message.state);
+          break;
+        
+        // Action handled without changing the component
+        case 'ack':
+          this._applyState(message.componentId, message.state);
+          this._resolveAction(message.ref, message.state);
+          break;
+        
+        // Current state of each registered component seeds the store
+        case 'registered':
+          this.sessionToken = message.token || null;
+
+          // Servers that predate negotiation don't say, and send JSON
+          this.protocol = message.protocol || 1;
+          this.encoding = message.encoding || 'json';
+          this.fragmentLimit = message.fragmentLimit || FRAGMENT_LIMIT;
+
+          Object.entries(message.states || {}).forEach(([componentId, state]) => {
+            this._applyState(componentId, state);
+          });
+          break;
+        
+        // Targeted changes instead of a full rerender
+        case 'patch':
+          this._patchComponent(message.componentId, message.patches || [], message.state);
+          this._resolveAction(message.ref, message.state);
+          break;
+        
+        case 'batch_update':
+          message.updates.forEach(update => {
+            this._updateComponent(update.componentId, update.html, update.state);
+          });
+          break;
+        
+        // Published to a topic this client subscribed to
+        case 'message':
+          this._deliver(message.topic, message.payload);
+          break;
+        
+        // Updates were missed and can't be replayed; fetch components again
+        case 'resync':
+          (message.components || []).forEach(componentId => {
+            if (this.components.has(componentId)) {
+              this._send({ type: 'refresh', componentId });
+            }
+          });
+          break;
+        
+        case 'presence_state':
+          if (this.presences.has(message.topic)) {
+            this.presences.get(message.topic)._syncState(message.presences || {}, message.self);
+          }
+          break;
+        
+        case 'presence_diff':
+          if (this.presences.has(message.topic)) {
+            this.presences.get(message.topic)._syncDiff(message.joins, message.leaves);
+          }
+          break;
+        
+        case 'reload':
+          window.location.reload();
+          break;
+        
+        case 'command':
+          this._runCommand(message.name, message.args || {});
+          break;
+        
+        // Legacy; blocked by strict CSPs, so only honoured when opted into
+        case 'eval':
+          if (!this.options.allowEval) {
+            this._log('warn', 'Ignoring eval message; use a registered command instead');
+          } else if (message.code) {
+            try {
+              eval(message.code);
+            } catch (error) {
+              this._log('error', 'Failed to evaluate code:', error);
+            }
+          }
+          break;
+        
+        case 'upload_ack':
+          this._onUploadAck(message.uploadId, message.received);
+          break;
+        
+        case 'upload_complete':
+          this._onUploadComplete(message.uploadId, message.id);
+          break;
+        
+        case 'upload_error':
+          this._failUpload(message.uploadId, message.message);
+          break;
+        
+        case 'pong':
+          // Heartbeat response
+          break;
+        
+        case 'error':
+          this._log('error', 'Server error:', message.message);
+          this._rejectAction(message.ref, message);
+          this.emit('error', message);
+          break;
+        
+        default:
+          this._log('warn', 'Unknown message type:', message.type);
+      }
+    }
+
+    // Hand a published message to the topic's subscribers
+    _deliver(topic, payload) {
+      const handlers = this.subscriptions.get(topic);
+      if (!handlers) return;
+
+      Array.from(handlers).forEach(handler => {
+        try {
+          handler(payload, topic);
+        } catch (error) {
+          this._log('error', `Subscriber for ${topic} failed:`, error);
+        }
+      });
+    }
+
+    // Subscribe a component root to its data-subscribe topics. "room:42"
+    // dispatches amber:message on the root; "room:42->receive_message"
+    // also pushes the message to the component as that action.
+    _subscribeComponent(component) {
+      const subscribe = component.element.dataset.subscribe || '';
+
+      return subscribe.trim().split(/\s+/).filter(Boolean).map(descriptor => {
+        const [topic, method] = descriptor.split('->');
+
+        return this.subscribe(topic, (payload) => {
+          const detail = { topic, payload, componentId: component.id };
+          component.element.dispatchEvent(new CustomEvent('amber:message', { bubbles: true, detail }));
+
+          if (method) {
+            this.pushAction(component.id, method, { type: 'message', topic, payload }).catch(() => {});
+          }
+        });
+      });
+    }
+
+    // Invoke a registered client command
+    _runCommand(name, args) {
+      const command = this.commands.get(name);
+
+      if (!command) {
+        this._log('warn', 'Unknown command:', name);
+        return;
+      }
+
+      try {
+        command(args, this);
+      } catch (error) {
+        this._log('error', `Command ${name} failed:`, error);
+      }
+    }
+
+    // Update a component's DOM
+    _updateComponent(componentId, html, state) {
+      const element = document.querySelector(`[data-component-id="${componentId}"]`);
+      
+      if (!element) {
+        this._log('warn', 'Component not found:', componentId);
+        return;
+      }
+
+      const component = this.components.get(componentId);
+      if (component) this._callHook(component, 'beforeUpdate', state);
+
+      // Morph in place so the root (and stored references to it) survive
+      const updated = this._morph(element, html);
+
+      this._applyState(componentId, state);
+      if (component) this._callHook(component, 'updated', state);
+
+      // Re-scan for new components
+      this._scanForComponents(updated.parentElement || document);
+    }
+
+    // Apply a list of patches to parts of a component. Each patch targets
+    // children by `selector` or `data-key` (the component root if neither)
+    _patchComponent(componentId, patches, state) {
+      const element = document.querySelector(`[data-component-id="${componentId}"]`);
+      
+      if (!element) {
+        this._log('warn', 'Component not found:', componentId);
+        return;
+      }
+
+      const component = this.components.get(componentId);
+      if (component) this._callHook(component, 'beforeUpdate', state);
+
+      patches.forEach(patch => {
+        const targets = this._patchTargets(element, patch);
+
+        if (targets.length === 0) {
+          this._log('warn', 'Patch target not found:', patch);
+          return;
+        }
+
+        targets.forEach(target => this._applyPatch(target, patch));
+      });
+
+      this._applyState(componentId, state);
+      if (component) this._callHook(component, 'updated', state);
+
+      // Appended HTML may contain components of its own
+      this._scanForComponents(element);
+    }
+
+    _patchTargets(element, patch) {
+      if (patch.key !== undefined && patch.key !== null) {
+        return Array.from(element.querySelectorAll(keySelector(patch.key)));
+      }
+
+      if (patch.selector) {
+        return Array.from(element.querySelectorAll(patch.selector));
+      }
+
+      return [element];
+    }
+
+    _applyPatch(target, patch) {
+      switch (patch.op) {
+        case 'append':
+        case 'prepend':
+          this._insertPatch(target, patch.html || '', patch.op === 'prepend');
+          break;
+
+        case 'replace':
+          this._morph(target, patch.html || '');
+          break;
+
+        case 'remove':
+          target.remove();
+          break;
+
+        case 'text':
+          target.textContent = patch.text === undefined || patch.text === null ? '' : patch.text;
+          break;
+
+        case 'attribute':
+          if (patch.value === undefined || patch.value === null) {
+            target.removeAttribute(patch.name);
+          } else {
+            target.setAttribute(patch.name, patch.value);
+          }
+
+          // Attributes stop reflecting these once the user has interacted
+          if (patch.name === 'value' && 'value' in target) {
+            target.value = patch.value === null || patch.value === undefined ? '' : patch.value;
+          } else if (patch.name === 'checked' && 'checked' in target) {
+            target.checked = patch.value !== undefined && patch.value !== null;
+          }
+          break;
+
+        default:
+          this._log('warn', 'Unknown patch op:', patch.op);
+      }
+    }
+
+    // Insert HTML into a target. Keyed elements that are already there are
+    // morphed in place, so a repeated append doesn't duplicate them
+    _insertPatch(target, html, atStart) {
+      const template = document.createElement('template');
+      template.innerHTML = html;
+
+      const nodes = Array.from(template.content.childNodes);
+      const anchor = atStart ? target.firstChild : null;
+
+      nodes.forEach(node => {
+        const key = node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null;
+        const existing = key !== null ? target.querySelector(`:scope > ${keySelector(key)}`) : null;
+
+        if (existing) {
+          this._morph(existing, node.outerHTML);
+        } else {
+          target.insertBefore(node, anchor);
+        }
+      });
+    }
+
+    // Record state from an update or patch and re-render errors
+    _applyState(componentId, state) {
+      // Merge into the store; server values win over local ones
+      if (state && this.components.has(componentId)) {
+        const component = this.components.get(componentId);
+        component.state = Object.assign({}, component.state, state);
+      }
+
+      this._renderBindings(componentId);
+
+      // Server-side validation errors replace the previous ones
+      if (state && state.errors !== undefined) {
+        this._errorState(componentId).server = normalizeErrors(state.errors);
+      }
+
+      if (this.formErrors.has(componentId)) {
+        this._renderErrors(componentId);
+      }
+    }
+
+    // Morph a component into new HTML, keeping state the server doesn't
+    // know about: focus and selection, open details/dialogs, playing media,
+    // opted-in scroll positions and attributes, and ignored subtrees
+    _morph(element, html) {
+      const morphdom = this.options.morphdom || morph;
+      const restores = this._captureScrollPositions(element);
+
+      const updated = morphdom(element, html, {
+        onBeforeElUpdated: (fromEl, toEl) => this._beforeElUpdated(fromEl, toEl, restores)
+      });
+
+      restores.forEach(restore => restore());
+      return updated || element;
+    }
+
+    // Decide whether fromEl may be updated to toEl, adjusting toEl to carry
+    // over preserved state; `restores` collects work for after the morph
+    _beforeElUpdated(fromEl, toEl, restores) {
+      const tag = fromEl.tagName;
+
+      // Escape hatch for client-managed subtrees (third-party widgets etc.)
+      if (fromEl.hasAttribute('data-ignore-update')) return false;
+
+      // Updating a playing element can restart or stop playback
+      if ((tag === 'VIDEO' || tag === 'AUDIO') && !fromEl.paused) return false;
+
+      if (fromEl === document.activeElement) {
+        // Re-rendering an editor being typed into loses the user's input
+        if (fromEl.isContentEditable) return false;
+
+        this._preserveFocus(fromEl, toEl, restores);
+      }
+
+      if ((tag === 'DETAILS' || tag === 'DIALOG') && fromEl.open !== toEl.hasAttribute('open')) {
+        toEl.toggleAttribute('open', fromEl.open);
+      }
+
+      if (fromEl.dataset.preserve) {
+        fromEl.dataset.preserve.split(/\s+/).filter(Boolean).forEach(name => {
+          this._preserveAttribute(fromEl, toEl, name);
+        });
+      }
+
+      return true;
+    }
+
+    _preserveFocus(fromEl, toEl, restores) {
+      if (fromEl.tagName === 'SELECT') {
+        const selected = Array.from(fromEl.selectedOptions, option => option.value);
+
+        Array.from(toEl.options).forEach(option => {
+          option.toggleAttribute('selected', selected.includes(option.value));
+        });
+        return;
+      }
+
+      if (fromEl.tagName !== 'INPUT' && fromEl.tagName !== 'TEXTAREA') return;
+
+      // Types like number and email have no selection API
+      let selection = null;
+      try {
+        selection = [fromEl.selectionStart, fromEl.selectionEnd, fromEl.selectionDirection];
+      } catch (error) {
+        return;
+      }
+      if (selection[0] === null) return;
+
+      restores.push(() => {
+        if (document.activeElement !== fromEl) fromEl.focus();
+
+        const length = fromEl.value.length;
+        fromEl.setSelectionRange(
+          Math.min(selection[0], length),
+          Math.min(selection[1], length),
+          selection[2] || 'none'
+        );
+      });
+    }
+
+    // data-preserve="class open value": keep the element's current state
+    // for these attributes (value and checked are copied as properties)
+    _preserveAttribute(fromEl, toEl, name) {
+      if (name === 'value' || name === 'checked') {
+        if (name in fromEl) toEl[name] = fromEl[name];
+        return;
+      }
+
+      if (fromEl.hasAttribute(name)) {
+        toEl.setAttribute(name, fromEl.getAttribute(name));
+      } else {
+        toEl.removeAttribute(name);
+      }
+    }
+
+    // data-preserve-scroll keeps a container's scroll offset across updates;
+    // data-preserve-scroll="bottom" keeps it pinned to the bottom if it was
+    // there (chat logs, feeds)
+    _captureScrollPositions(root) {
+      const containers = Array.from(root.querySelectorAll('[data-preserve-scroll]'));
+      if (root.hasAttribute('data-preserve-scroll')) containers.unshift(root);
+
+      return containers.map(container => {
+        const { scrollTop, scrollLeft } = container;
+        const atBottom = container.scrollHeight - scrollTop - container.clientHeight <= 2;
+
+        return () => {
+          if (!container.isConnected) return;
+
+          if (container.dataset.preserveScroll === 'bottom' && atBottom) {
+            container.scrollTop = container.scrollHeight;
+          } else {
+            container.scrollTop = scrollTop;
+            container.scrollLeft = scrollLeft;
+          }
+        };
+      });
+    }
+
+    // Scan DOM for components
+    _scanForComponents(root = document) {
+      const elements = Array.from(root.querySelectorAll('[data-component-id]'));
+      if (root.matches && root.matches('[data-component-id]')) elements.unshift(root);
+      
+      elements.forEach(element => {
+        const componentId = element.dataset.componentId;
+        
+        // Keep references current if an update replaced the element
+        if (this.components.has(componentId)) {
+          const component = this.components.get(componentId);
+
+          if (component.element !== element) {
+            this._disconnectComponent(component);
+            component.element = element;
+          }
+
+          this._connectComponent(component);
+        } else if (!this.deferredComponents.has(element) && !this._deferComponent(element)) {
+          this._addComponent(element);
+        }
+      });
+
+      this._pruneComponents();
+    }
+
+    _addComponent(element) {
+      const componentId = element.dataset.componentId;
+      const component = {
+        id: componentId,
+        element: element,
+        type: element.dataset.componentType || 'unknown',
+        state: {}
+      };
+      
+      this.components.set(componentId, component);
+      component.subscriptions = this._subscribeComponent(component);
+      this._connectComponent(component);
+      
+      // Notify server of new component
+      if (this.connected) {
+        this._send({
+          type: 'component_added',
+          componentId: componentId,
+          componentType: component.type
+        });
+      }
+
+      // Rendered as a placeholder; ask for the real content
+      if (element.hasAttribute('data-placeholder')) {
+        this._send({ type: 'refresh', componentId });
+      }
+
+      if (element.dataset.poll) {
+        this._startPolling(component);
+      }
+    }
+
+    // data-poll="5000->refresh" pushes the action every 5 seconds ("5000"
+    // alone pushes `refresh`). Waits double after each failure.
+    _startPolling(component) {
+      const [interval, method] = component.element.dataset.poll.split('->');
+      const wait = parseInt(interval, 10);
+
+      if (isNaN(wait) || wait <= 0) {
+        this._log('warn', 'Invalid data-poll interval:', component.element.dataset.poll);
+        return;
+      }
+
+      component.poll = {
+        interval: wait,
+        method: (method || 'refresh').trim(),
+        delay: wait,
+        last: Date.now(),
+        timer: null,
+        inFlight: false
+      };
+
+      this._schedulePoll(component);
+    }
+
+    // Polls only run while connected and visible; _resumePolling restarts
+    // them once both hold again
+    _pollingActive() {
+      return this.connected && !document.hidden;
+    }
+
+    _schedulePoll(component) {
+      const poll = component.poll;
+
+      clearTimeout(poll.timer);
+      poll.timer = null;
+
+      if (this.components.get(component.id) !== component || !this._pollingActive()) return;
+
+      const wait = Math.max(0, poll.last + poll.delay - Date.now());
+      poll.timer = setTimeout(() => this._poll(component), wait);
+    }
+
+    _poll(component) {
+      const poll = component.poll;
+      poll.timer = null;
+
+      if (this.components.get(component.id) !== component || !this._pollingActive()) return;
+
+      poll.inFlight = true;
+      poll.last = Date.now();
+
+      this.pushAction(component.id, poll.method, { type: 'poll' })
+        .then(() => {
+          poll.delay = poll.interval;
+        })
+        .catch(() => {
+          poll.delay = Math.min(poll.delay * 2, Math.max(poll.interval, MAX_POLL_DELAY));
+        })
+        .then(() => {
+          poll.inFlight = false;
+          this._schedulePoll(component);
+        });
+    }
+
+    _resumePolling() {
+      this.components.forEach(component => {
+        if (component.poll && !component.poll.timer && !component.poll.inFlight) {
+          this._schedulePoll(component);
+        }
+      });
+    }
+
+    // Hold back a data-lazy / data-load root until its strategy triggers.
+    // Returns false if the component should be added right away.
+    _deferComponent(element) {
+      const strategy = element.dataset.load || (element.hasAttribute('data-lazy') ? 'visible' : null);
+      if (!strategy) return false;
+
+      const activate = () => this._activateComponent(element);
+      let cancel;
+
+      switch (strategy) {
+        case 'visible':
+          if (!window.IntersectionObserver) return false;
+
+          if (!this.lazyObserver) {
+            this.lazyObserver = new IntersectionObserver(entries => {
+              entries.forEach(entry => {
+                if (entry.isIntersecting) this._activateComponent(entry.target);
+              });
+            });
+          }
+
+          this.lazyObserver.observe(element);
+          cancel = () => this.lazyObserver.unobserve(element);
+          break;
+
+        case 'idle': {
+          if (window.requestIdleCallback) {
+            const handle = window.requestIdleCallback(activate);
+            cancel = () => window.cancelIdleCallback(handle);
+          } else {
+            const timer = setTimeout(activate, 1);
+            cancel = () => clearTimeout(timer);
+          }
+          break;
+        }
+
+        case 'interaction':
+          INTERACTION_EVENTS.forEach(type => element.addEventListener(type, activate, true));
+          cancel = () => {
+            INTERACTION_EVENTS.forEach(type => element.removeEventListener(type, activate, true));
+          };
+          break;
+
+        default:
+          this._log('warn', 'Unknown data-load strategy:', strategy);
+          return false;
+      }
+
+      this.deferredComponents.set(element, cancel);
+      return true;
+    }
+
+    _activateComponent(element) {
+      const cancel = this.deferredComponents.get(element);
+      if (!cancel) return;
+
+      cancel();
+      this.deferredComponents.delete(element);
+
+      if (element.isConnected && !this.components.has(element.dataset.componentId)) {
+        this._addComponent(element);
+      }
+    }
+
+    // Forget components whose root has left the page, and tell the server
+    // to stop sending them updates
+    _pruneComponents() {
+      // Lazy roots removed before they activated
+      this.deferredComponents.forEach((cancel, element) => {
+        if (element.isConnected) return;
+
+        cancel();
+        this.deferredComponents.delete(element);
+      });
+
+      this.components.forEach((component, componentId) => {
+        if (component.element.isConnected) return;
+
+        // Replaced rather than removed (e.g. via outerHTML)
+        const replacement = document.querySelector(`[data-component-id="${componentId}"]`);
+        if (replacement) {
+          this._disconnectComponent(component);
+          component.element = replacement;
+          this._connectComponent(component);
+          return;
+        }
+
+        this._removeComponent(component);
+      });
+    }
+
+    _removeComponent(component) {
+      if (component.poll) clearTimeout(component.poll.timer);
+      this._disconnectComponent(component);
+      (component.subscriptions || []).forEach(unsubscribe => unsubscribe());
+
+      this.components.delete(component.id);
+      this.formErrors.delete(component.id);
+
+      // A reconnect registers only the components still here
+      if (this.connected) {
+        this._send({ type: 'component_removed', componentId: component.id });
+      }
+
+      this.emit('component-removed', { componentId: component.id, componentType: component.type });
+    }
+
+    // Bound elements belonging to a component (not to components nested in it)
+    _boundElements(root, attribute) {
+      const elements = Array.from(root.querySelectorAll(`[${attribute}]`));
+      if (root.hasAttribute(attribute)) elements.unshift(root);
+
+      return elements.filter(element => element.closest('[data-component-id]') === root);
+    }
+
+    // Evaluate data-bind-text, data-bind-value, data-bind-class and
+    // data-show against the component's state. Paths the store doesn't have
+    // leave the server-rendered markup alone.
+    _renderBindings(componentId) {
+      const component = this.components.get(componentId);
+      if (!component || !component.element.isConnected) return;
+
+      const root = component.element;
+      const state = component.state || {};
+
+      const evaluate = expression => {
+        const binding = parseBindingPath(expression);
+        const value = readPath(state, binding.path);
+
+        if (value === undefined) return undefined;
+        return binding.negate ? !truthy(value) : value;
+      };
+
+      this._boundElements(root, 'data-bind-text').forEach(element => {
+        const value = evaluate(element.dataset.bindText);
+        if (value === undefined) return;
+
+        const text = value === null ? '' : String(value);
+        if (element.textContent !== text) element.textContent = text;
+      });
+
+      this._boundElements(root, 'data-bind-value').forEach(element => {
+        const value = evaluate(element.dataset.bindValue);
+
+        // Don't fight the user over the field they're typing in
+        if (value === undefined || element === document.activeElement) return;
+
+        if (element.type === 'checkbox' || element.type === 'radio') {
+          element.checked = element.type === 'radio' ? String(value) === element.value : truthy(value);
+        } else {
+          const text = value === null ? '' : String(value);
+          if (element.value !== text) element.value = text;
+        }
+      });
+
+      // "open:is_open active:!collapsed"
+      this._boundElements(root, 'data-bind-class').forEach(element => {
+        element.dataset.bindClass.trim().split(/\s+/).filter(Boolean).forEach(pair => {
+          const [className, expression] = pair.split(':');
+          const value = evaluate(expression || className);
+
+          if (value !== undefined) element.classList.toggle(className, truthy(value));
+        });
+      });
+
+      this._boundElements(root, 'data-show').forEach(element => {
+        const value = evaluate(element.dataset.show);
+        if (value !== undefined) element.hidden = !truthy(value);
+      });
+    }
+
+    // Run a "$op:path" binding against the component's local state
+    _runLocalOperation(target, binding) {
+      const componentElement = target.closest('[data-component-id]');
+      const operation = parseLocalOperation(binding.method);
+
+      if (!componentElement || !operation) {
+        this._log('warn', 'Invalid local state operation:', binding.method);
+        return;
+      }
+
+      const componentId = componentElement.dataset.componentId;
+      const current = readPath(this.getState(componentId), operation.path);
+
+      switch (operation.op) {
+        case 'toggle':
+          this.setState(componentId, operation.path.join('.'), !truthy(current));
+          break;
+
+        case 'set': {
+          let value = operation.value;
+
+          if (value === undefined) {
+            const lone = target.type === 'checkbox' && !this._isCheckboxGroup(target);
+            value = lone ? target.checked : this._fieldValue(target);
+          }
+
+          this.setState(componentId, operation.path.join('.'), value);
+          break;
+        }
+
+        default:
+          this._log('warn', 'Unknown local state operation:', operation.op);
+      }
+    }
+
+    // Instantiate the component's client-side class, if its type has one
+    _connectComponent(component) {
+      if (component.instance) return;
+
+      const definition = componentDefinition(component.type);
+      if (!definition) return;
+
+      const instance = typeof definition === 'function' ? new definition() : Object.create(definition);
+      instance.id = component.id;
+      instance.type = component.type;
+      instance.reactive = this;
+
+      // Always the current root and state
+      Object.defineProperties(instance, {
+        element: { get: () => component.element, configurable: true },
+        state: { get: () => component.state, configurable: true }
+      });
+
+      component.instance = instance;
+      this._callHook(component, 'connected');
+    }
+
+    _disconnectComponent(component) {
+      if (!component.instance) return;
+
+      this._callHook(component, 'disconnected');
+      component.instance = null;
+    }
+
+    _callHook(component, hook, ...args) {
+      const instance = component.instance;
+      if (!instance || typeof instance[hook] !== 'function') return undefined;
+
+      try {
+        return instance[hook](...args);
+      } catch (error) {
+        this._log('error', `${component.type} ${hook} hook failed:`, error);
+        return undefined;
+      }
+    }
+
+    // Setup event delegation for actions
+    _setupEventDelegation() {
+      DELEGATED_EVENTS.forEach(eventType => {
+        const capture = NON_BUBBLING_EVENTS.includes(eventType);
+        document.addEventListener(eventType, this._handleAction, capture);
+      });
+    }
+
+    // Handle action events, walking up from the target so bindings on
+    // ancestors (e.g. a button wrapping an icon) see bubbling events
+    _handleAction(event) {
+      let element = event.target;
+      const bubbles = !NON_BUBBLING_EVENTS.includes(event.type);
+
+      if (event.type === 'change' && element.dataset && element.dataset.upload !== undefined) {
+        this._handleUploadInput(element);
+      }
+
+      if (event.type === 'change' && this._validates(element)) {
+        this._validateFields([element]);
+      }
+
+      while (element && element.nodeType === Node.ELEMENT_NODE) {
+        if (element.dataset.action && this._handleBindings(event, element)) {
+          return;
+        }
+
+        if (!bubbles) return;
+        element = element.parentElement;
+      }
+    }
+
+    // Run the element's bindings for this event; returns true when one
+    // of them stopped propagation
+    _handleBindings(event, element) {
+      let stopped = false;
+
+      parseActionBindings(element.dataset.action).forEach(binding => {
+        if (!this._bindingMatches(binding, event, element)) return;
+
+        // Forms never navigate away
+        if (binding.prevent || event.type === 'submit') {
+          event.preventDefault();
+        }
+
+        if (binding.stop) {
+          event.stopPropagation();
+          stopped = true;
+        }
+
+        if (binding.once) {
+          if (!this.firedOnce.has(element)) {
+            this.firedOnce.set(element, new Set());
+          }
+          this.firedOnce.get(element).add(binding.descriptor);
+        }
+
+        this._runBinding(event, element, binding);
+      });
+
+      return stopped;
+    }
+
+    _bindingMatches(binding, event, element) {
+      if (binding.eventType !== event.type) return false;
+      if (binding.self && event.target !== element) return false;
+      if (!keyMatches(binding, event)) return false;
+
+      const fired = this.firedOnce.get(element);
+      if (binding.once && fired && fired.has(binding.descriptor)) return false;
+
+      return !!element.closest('[data-component-id]');
+    }
+
+    _runBinding(event, target, binding) {
+      // "$..." bindings change local state and never reach the server
+      if (binding.method && binding.method.startsWith('$')) {
+        this._runLocalOperation(target, binding);
+        return;
+      }
+
+      // Ignore repeated clicks and submits while the last one is in flight
+      if ((event.type === 'click' || event.type === 'submit') && this.busyElements.has(target)) {
+        return;
+      }
+
+      // Invalid forms are not sent, unless submitted with formnovalidate.
+      // The binding may sit on an ancestor, so check the submitted form.
+      if (event.type === 'submit' && !(event.submitter && event.submitter.formNoValidate)) {
+        if (!this.validateForm(event.target)) return;
+      }
+
+      // Gather event data
+      const eventData = this._gatherEventData(event, target);
+
+      const dispatch = () => {
+        // A delayed action is dropped if its element was removed or
+        // re-rendered without this binding in the meantime
+        if (!target.isConnected || !this._hasBinding(target, binding.descriptor)) return;
+
+        const componentElement = target.closest('[data-component-id]');
+        if (!componentElement) return;
+
+        const finishLoading = this._startLoading(event, target, componentElement);
+
+        // Send action to server; failures are already logged
+        this.pushAction(componentElement.dataset.componentId, binding.method, eventData, {
+          optimistic: target.dataset.optimistic,
+          element: target
+        })
+          .catch(() => {})
+          .then(finishLoading);
+      };
+
+      const debounce = rateLimitAttribute(target, 'debounce') || binding.debounce;
+      const throttle = rateLimitAttribute(target, 'throttle') || binding.throttle;
+
+      if (debounce) {
+        this._debounce(target, binding.descriptor, debounce, dispatch);
+      } else if (throttle) {
+        this._throttle(target, binding.descriptor, throttle, dispatch);
+      } else {
+        dispatch();
+      }
+    }
+
+    _hasBinding(element, descriptor) {
+      const action = element.dataset.action || '';
+      return parseActionBindings(action).some(binding => binding.descriptor === descriptor);
+    }
+
+    // Rate limiter state for an element's action, created on first use
+    _rateLimit(element, key) {
+      let limits = this.rateLimits.get(element);
+
+      if (!limits) {
+        limits = new Map();
+        this.rateLimits.set(element, limits);
+      }
+
+      if (!limits.has(key)) {
+        limits.set(key, { timer: null, last: 0 });
+      }
+
+      return limits.get(key);
+    }
+
+    // Run only the last call once `wait` ms pass without another one
+    _debounce(element, key, wait, fn) {
+      const limit = this._rateLimit(element, key);
+
+      clearTimeout(limit.timer);
+      limit.timer = setTimeout(() => {
+        limit.timer = null;
+        fn();
+      }, wait);
+    }
+
+    // Run at most once per `wait` ms, keeping the latest call for the end
+    // of the window
+    _throttle(element, key, wait, fn) {
+      const limit = this._rateLimit(element, key);
+      const remaining = limit.last + wait - Date.now();
+
+      clearTimeout(limit.timer);
+      limit.timer = null;
+
+      if (remaining <= 0) {
+        limit.last = Date.now();
+        fn();
+      } else {
+        limit.timer = setTimeout(() => {
+          limit.timer = null;
+          limit.last = Date.now();
+          fn();
+        }, remaining);
+      }
+    }
+
+    // Flag the triggering element and its component root as busy and apply
+    // any data-disable-with; returns a function that undoes both
+    _startLoading(event, target, componentElement) {
+      const elements = target === componentElement ? [target] : [target, componentElement];
+      elements.forEach(element => this._markBusy(element));
+
+      const restores = this._disableWith(event, target);
+
+      return () => {
+        elements.forEach(element => this._unmarkBusy(element));
+        restores.forEach(restore => restore());
+      };
+    }
+
+    // Busy counts are per element since several actions can share a root
+    _markBusy(element) {
+      const count = this.busyElements.get(element) || 0;
+      this.busyElements.set(element, count + 1);
+
+      if (count === 0) {
+        element.classList.add(this.options.loadingClass);
+        element.setAttribute('aria-busy', 'true');
+      }
+    }
+
+    _unmarkBusy(element) {
+      const count = this.busyElements.get(element) || 0;
+
+      if (count > 1) {
+        this.busyElements.set(element, count - 1);
+        return;
+      }
+
+      this.busyElements.delete(element);
+      element.classList.remove(this.options.loadingClass);
+      element.removeAttribute('aria-busy');
+    }
+
+    // Disable buttons carrying data-disable-with (on a form, the attribute
+    // applies to the button that submitted it) and swap in the busy label
+    _disableWith(event, target) {
+      const buttons = new Map();
+
+      if (event.type === 'submit') {
+        target.querySelectorAll('[data-disable-with]').forEach(button => {
+          buttons.set(button, button.dataset.disableWith);
+        });
+
+        if (target.dataset.disableWith !== undefined && event.submitter) {
+          buttons.set(event.submitter, event.submitter.dataset.disableWith || target.dataset.disableWith);
+        }
+      } else if (target.dataset.disableWith !== undefined) {
+        buttons.set(target, target.dataset.disableWith);
+      }
+
+      return Array.from(buttons, ([button, label]) => this._disableButton(button, label));
+    }
+
+    _disableButton(button, label) {
+      const isInput = button.tagName === 'INPUT';
+      const original = isInput ? button.value : button.innerHTML;
+
+      // Marker lets us tell whether an update already re-rendered the button
+      button.setAttribute('data-amber-disabled', '');
+      button.disabled = true;
+
+      if (label) {
+        if (isInput) {
+          button.value = label;
+        } else {
+          button.textContent = label;
+        }
+      }
+
+      return () => {
+        if (!button.hasAttribute('data-amber-disabled')) return;
+
+        button.removeAttribute('data-amber-disabled');
+        button.disabled = false;
+
+        if (label) {
+          if (isInput) {
+            button.value = original;
+          } else {
+            button.innerHTML = original;
+          }
+        }
+      };
+    }
+
+    // Settle the promise returned by pushAction for an acknowledged ref
+    _resolveAction(ref, state) {
+      const pending = ref && this.pendingActions.get(ref);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pendingActions.delete(ref);
+      if (pending.optimistic) pending.optimistic.settle();
+      pending.resolve(state);
+    }
+
+    _rejectAction(ref, message) {
+      const pending = ref && this.pendingActions.get(ref);
+      if (!pending) return;
+
+      const error = new Error(message.message);
+      error.componentId = message.componentId || pending.componentId;
+      error.method = pending.method;
+
+      clearTimeout(pending.timer);
+      this.pendingActions.delete(ref);
+      if (pending.optimistic) pending.optimistic.rollback();
+      pending.reject(error);
+    }
+
+    // Apply data-optimistic hints before the server answers. Returns
+    // {settle, rollback}: settle drops placeholders once the real update is
+    // in, rollback also restores the state and classes the hints changed.
+    //
+    //   "count:+1"         add to (or "-1" subtract from) a state value
+    //   "is_liked:!"       toggle a state value
+    //   "status:=saving"   set a state value
+    //   "class:liked"      toggle a class on the element
+    //   "append:.messages" insert the element's data-optimistic-html
+    //   "prepend:.list"    (marked with data-optimistic-placeholder)
+    _applyOptimistic(componentId, hints, element) {
+      const component = this.components.get(componentId);
+      if (!component) return null;
+
+      const previous = {};
+      const changes = {};
+      const classes = [];
+      const placeholders = [];
+
+      hints.trim().split(/\s+/).filter(Boolean).forEach(hint => {
+        const separator = hint.indexOf(':');
+        const key = hint.slice(0, separator);
+        const arg = hint.slice(separator + 1);
+
+        if (separator < 1) {
+          this._log('warn', 'Invalid optimistic hint:', hint);
+          return;
+        }
+
+        switch (key) {
+          case 'class':
+            if (!element) break;
+            element.classList.toggle(arg);
+            classes.push(arg);
+            break;
+
+          case 'append':
+          case 'prepend': {
+            const target = component.element.querySelector(arg);
+            if (!target || !element) break;
+
+            const template = document.createElement('template');
+            template.innerHTML = element.dataset.optimisticHtml || '';
+
+            const anchor = key === 'prepend' ? target.firstChild : null;
+            Array.from(template.content.childNodes).forEach(node => {
+              if (node.nodeType === Node.ELEMENT_NODE) {
+                node.setAttribute('data-optimistic-placeholder', '');
+              }
+              target.insertBefore(node, anchor);
+              placeholders.push(node);
+            });
+            break;
+          }
+
+          default: {
+            const path = key.split('.');
+            const current = key in changes ? changes[key] : readPath(component.state, path);
+
+            if (!(key in previous)) previous[key] = readPath(component.state, path);
+
+            if (/^[+-]\d/.test(arg)) {
+              changes[key] = (Number(current) || 0) + Number(arg);
+            } else if (arg === '!') {
+              changes[key] = !truthy(current);
+            } else if (arg.startsWith('=')) {
+              changes[key] = coerceParam(arg.slice(1));
+            } else {
+              this._log('warn', 'Invalid optimistic hint:', hint);
+            }
+          }
+        }
+      });
+
+      if (Object.keys(changes).length > 0) {
+        this.setState(componentId, changes);
+      }
+
+      const settle = () => {
+        placeholders.forEach(node => node.remove());
+      };
+
+      return {
+        settle,
+        rollback: () => {
+          settle();
+          if (element) classes.forEach(className => element.classList.toggle(className));
+          if (Object.keys(changes).length > 0) this.setState(componentId, previous);
+        }
+      };
+    }
+
+    // Gather relevant event data
+    _gatherEventData(event, target) {
+      const data = {
+        type: event.type,
+        timestamp: Date.now()
+      };
+
+      switch (event.type) {
+        case 'input':
+        case 'change':
+        case 'focus':
+        case 'blur':
+          data.value = this._fieldValue(event.target);
+          data.name = event.target.name;
+
+          if (event.target.type === 'checkbox' || event.target.type === 'radio') {
+            data.checked = event.target.checked;
+          }
+          break;
+        
+        case 'keydown':
+        case 'keyup':
+          data.key = event.key;
+          data.code = event.code;
+          data.value = event.target.value;
+          data.name = event.target.name;
+          data.ctrlKey = event.ctrlKey;
+          data.shiftKey = event.shiftKey;
+          data.altKey = event.altKey;
+          data.metaKey = event.metaKey;
+          break;
+        
+        case 'submit':
+          data.fields = this._serializeForm(event.target, event.submitter);
+          break;
+        
+        case 'click':
+          data.x = event.clientX;
+          data.y = event.clientY;
+          break;
+      }
+
+      const params = this._gatherParams(target);
+
+      // A form's params are extended by those on the button that submitted it
+      if (event.type === 'submit' && event.submitter) {
+        Object.assign(params, this._gatherParams(event.submitter));
+      }
+
+      if (Object.keys(params).length > 0) {
+        data.params = params;
+      }
+
+      return data;
+    }
+
+    // Upload the files picked in a data-upload input, then deliver each one
+    // to the component through data-upload-action (default "<name>_uploaded")
+    _handleUploadInput(input) {
+      const componentElement = input.closest('[data-component-id]');
+      if (!componentElement) return;
+
+      const name = input.dataset.upload || input.name;
+      const method = input.dataset.uploadAction || `${name}_uploaded`;
+
+      Array.from(input.files || []).forEach(file => {
+        this.upload(componentElement.dataset.componentId, name, file, { method, input })
+          .catch(() => {});
+      });
+    }
+
+    // Client-side checks from data-max-size (bytes) and accept
+    _validateUpload(input, file) {
+      if (!input) return null;
+
+      const maxSize = parseInt(input.dataset.maxSize, 10);
+      if (!isNaN(maxSize) && file.size > maxSize) {
+        return `${file.name} is larger than ${maxSize} bytes`;
+      }
+
+      if (input.accept && !acceptsFile(input.accept, file)) {
+        return `${file.name} is not an accepted file type`;
+      }
+
+      return null;
+    }
+
+    _emitUploadProgress(upload, loaded) {
+      const total = upload.file.size;
+
+      this.emit('upload-progress', {
+        uploadId: upload.id,
+        componentId: upload.componentId,
+        name: upload.name,
+        file: fileMetadata(upload.file),
+        loaded: loaded,
+        total: total,
+        percent: total > 0 ? Math.round((loaded / total) * 100) : 100
+      });
+    }
+
+    // Chunked socket uploads: each upload_ack reports progress and asks
+    // for the next chunk
+    _onUploadAck(uploadId, received) {
+      const upload = this.uploads.get(uploadId);
+      if (!upload) return;
+
+      this._emitUploadProgress(upload, received);
+      this._sendUploadChunk(upload, received);
+    }
+
+    _sendUploadChunk(upload, offset) {
+      if (offset >= upload.file.size) return;
+
+      const chunk = upload.file.slice(offset, offset + this.options.uploadChunkSize);
+
+      blobToBase64(chunk)
+        .then(data => {
+          if (!this.uploads.has(upload.id)) return;
+
+          this._send({
+            type: 'upload_chunk',
+            uploadId: upload.id,
+            offset: offset,
+            data: data
+          });
+        })
+        .catch(error => this._failUpload(upload.id, error.message));
+    }
+
+    _uploadOverSocket(upload) {
+      this._send({
+        type: 'upload_start',
+        uploadId: upload.id,
+        componentId: upload.componentId,
+        name: upload.name,
+        filename: upload.file.name,
+        contentType: upload.file.type || 'application/octet-stream',
+        size: upload.file.size
+      });
+    }
+
+    // Single POST of the raw file; XHR since fetch can't report upload progress
+    _uploadOverHttp(upload) {
+      const xhr = new XMLHttpRequest();
+      upload.xhr = xhr;
+
+      xhr.open('POST', this.options.uploadUrl);
+      xhr.setRequestHeader('Content-Type', upload.file.type || 'application/octet-stream');
+      xhr.setRequestHeader('Accept', 'application/json');
+      xhr.setRequestHeader('X-Upload-Id', upload.id);
+      xhr.setRequestHeader('X-Upload-Name', upload.name);
+      xhr.setRequestHeader('X-Upload-Filename', encodeURIComponent(upload.file.name));
+      xhr.setRequestHeader('X-Upload-Component', upload.componentId);
+
+      // Event streams bind the upload to their session
+      if (this.transport && this.transport.token) {
+        xhr.setRequestHeader('X-Upload-Session', this.sessionId);
+        xhr.setRequestHeader('X-Upload-Token', this.transport.token);
+      }
+
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) {
+          this._emitUploadProgress(upload, event.loaded);
+        }
+      };
+
+      xhr.onload = () => {
+        if (xhr.status >= 200 && xhr.status < 300) {
+          let storedId = null;
+          try {
+            storedId = JSON.parse(xhr.responseText).uploadId;
+          } catch (parseError) {
+            // Reported as a failure below
+          }
+
+          if (storedId) {
+            this._onUploadComplete(upload.id, storedId);
+          } else {
+            this._failUpload(upload.id, 'Invalid upload response');
+          }
+        } else {
+          let error = `HTTP ${xhr.status}`;
+          try {
+            error = JSON.parse(xhr.responseText).error || error;
+          } catch (parseError) {
+            // Keep the status as the error
+          }
+          this._failUpload(upload.id, error);
+        }
+      };
+
+      xhr.onerror = () => this._failUpload(upload.id, 'Upload failed');
+
+      xhr.send(upload.file);
+    }
+
+    // `storedId` is the id the server gave the file; actions claim it by that
+    _onUploadComplete(uploadId, storedId) {
+      const upload = this.uploads.get(uploadId);
+      if (!upload) return;
+
+      this.uploads.delete(uploadId);
+      this._emitUploadProgress(upload, upload.file.size);
+
+      const reference = {
+        id: storedId,
+        name: upload.name,
+        filename: upload.file.name,
+        size: upload.file.size,
+        type: upload.file.type
+      };
+
+      this.emit('upload-complete', { componentId: upload.componentId, upload: reference });
+      upload.finish();
+      upload.resolve(reference);
+
+      if (upload.method) {
+        this.pushAction(upload.componentId, upload.method, {
+          type: 'upload',
+          timestamp: Date.now(),
+          upload: reference
+        }).catch(() => {});
+      }
+    }
+
+    _failUpload(uploadId, message) {
+      const upload = this.uploads.get(uploadId);
+      if (!upload) return;
+
+      this.uploads.delete(uploadId);
+      upload.finish();
+
+      this.emit('upload-error', {
+        uploadId: uploadId,
+        componentId: upload.componentId,
+        name: upload.name,
+        file: fileMetadata(upload.file),
+        error: message
+      });
+
+      upload.reject(new Error(message));
+    }
+
+    // Fields checked on change: anything in a form inside a component, or
+    // anything carrying data-validate
+    _validates(element) {
+      if (!element.dataset || !('willValidate' in element)) return false;
+      if (!element.closest('[data-component-id]')) return false;
+
+      return element.dataset.validate !== undefined || !!element.form;
+    }
+
+    // Error messages for one field: native constraint validation first,
+    // then its data-validate rules
+    _fieldErrors(field) {
+      const errors = [];
+      const message = field.dataset.validateMessage;
+
+      if (field.willValidate && !field.checkValidity()) {
+        errors.push(message || field.validationMessage);
+      }
+
+      if (field.dataset.validate) {
+        const value = this._fieldValue(field);
+
+        parseValidationRules(field.dataset.validate).forEach(rule => {
+          const validator = this.validators.get(rule.name);
+
+          if (!validator) {
+            this._log('warn', 'Unknown validation rule:', rule.name);
+            return;
+          }
+
+          const error = validator(value, rule.arg, field);
+          if (error) errors.push(message || error);
+        });
       }
+
+      return Array.from(new Set(errors));
     }
 
-    // Setup WebSocket event handlers
-    _setupSocketHandlers() {
-      this.socket.onopen = () => {
-        this.connected = true;
-        this.reconnectDelay = RECONNECT_DELAY;
-        this._log('info', 'Connected to server');
-        
-        // Send registration message
-        this._send({
-          type: 'register',
-          sessionId: this.sessionId,
-          components: Array.from(this.components.keys())
-        });
+    // Validate fields, record their client errors and re-render the error
+    // slots of their components; returns the fields that failed
+    _validateFields(fields) {
+      const invalid = [];
+      const componentIds = new Set();
 
-        // Process queued messages
-        this._flushMessageQueue();
+      fields.forEach(field => {
+        const componentElement = field.closest('[data-component-id]');
+        if (!componentElement || !field.name) return;
 
-        // Start heartbeat
-        if (this.options.heartbeat) {
-          this._startHeartbeat();
-        }
-      };
+        const componentId = componentElement.dataset.componentId;
+        const errors = this._fieldErrors(field);
+        const client = this._errorState(componentId).client;
 
-      this.socket.onclose = () => {
-        this.connected = false;
-        this._stopHeartbeat();
-        this._log('info', 'Disconnected from server');
-        
-        if (this.options.reconnect) {
-          this._scheduleReconnect();
+        if (errors.length > 0) {
+          client[field.name] = errors;
+          invalid.push(field);
+        } else {
+          delete client[field.name];
         }
-      };
 
-      this.socket.onerror = (error) => {
-        this._log('error', 'WebSocket error:', error);
-      };
+        componentIds.add(componentId);
+      });
 
-      this.socket.onmessage = (event) => {
-        try {
-          const message = JSON.parse(event.data);
-          this._handleMessage(message);
-        } catch (error) {
-          this._log('error', 'Failed to parse message:', error);
-        }
-      };
+      componentIds.forEach(componentId => this._renderErrors(componentId));
+      return invalid;
     }
 
-    // Handle incoming messages
-    _handleMessage(message) {
-      this._log('debug', 'Received message:', message);
-
-      switch (message.type) {
-        case 'update':
-          this._updateComponent(message.componentId, message.html, message.state);
-          break;
-        
-        case 'batch_update':
-          message.updates.forEach(update => {
-            this._updateComponent(update.componentId, update.html, update.state);
-          });
-          break;
-        
-        case 'reload':
-          window.location.reload();
-          break;
-        
-        case 'eval':
-          if (message.code) {
-            try {
-              eval(message.code);
-            } catch (error) {
-              this._log('error', 'Failed to evaluate code:', error);
-            }
-          }
-          break;
-        
-        case 'pong':
-          // Heartbeat response
-          break;
-        
-        default:
-          this._log('warn', 'Unknown message type:', message.type);
+    _errorState(componentId) {
+      if (!this.formErrors.has(componentId)) {
+        this.formErrors.set(componentId, { client: {}, server: {} });
       }
+      return this.formErrors.get(componentId);
     }
 
-    // Update a component's DOM
-    _updateComponent(componentId, html, state) {
+    // Write client and server messages into [data-error-for] slots and flag
+    // the fields they belong to
+    _renderErrors(componentId) {
       const element = document.querySelector(`[data-component-id="${componentId}"]`);
-      
-      if (!element) {
-        this._log('warn', 'Component not found:', componentId);
-        return;
-      }
+      if (!element) return;
 
-      // Use morphdom for efficient DOM updates
-      if (this.options.morphdom) {
-        this.options.morphdom(element, html, {
-          onBeforeElUpdated: (fromEl, toEl) => {
-            // Preserve focus state
-            if (fromEl === document.activeElement && fromEl.tagName === 'INPUT') {
-              const cursorPos = fromEl.selectionStart;
-              requestAnimationFrame(() => {
-                fromEl.focus();
-                fromEl.setSelectionRange(cursorPos, cursorPos);
-              });
-            }
-            return true;
+      const { client, server } = this._errorState(componentId);
+      const messagesFor = name => Array.from(new Set([...(client[name] || []), ...(server[name] || [])]));
+
+      element.querySelectorAll('[data-error-for]').forEach(slot => {
+        slot.textContent = messagesFor(slot.dataset.errorFor).join(' ');
+      });
+
+      element.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+        if (messagesFor(field.name).length > 0) {
+          field.classList.add(this.options.invalidClass);
+          field.setAttribute('aria-invalid', 'true');
+        } else {
+          field.classList.remove(this.options.invalidClass);
+          field.removeAttribute('aria-invalid');
+        }
+      });
+    }
+
+    // Value of a single field as the server should see it
+    _fieldValue(element) {
+      switch (element.type) {
+        case 'checkbox':
+          if (this._isCheckboxGroup(element)) {
+            return this._checkboxGroup(element)
+              .filter(checkbox => checkbox.checked)
+              .map(checkbox => checkbox.value);
           }
-        });
-      } else {
-        // Fallback to innerHTML
-        element.outerHTML = html;
-      }
+          return element.checked ? element.value : null;
 
-      // Update component state
-      if (state && this.components.has(componentId)) {
-        this.components.get(componentId).state = state;
+        case 'radio':
+          return element.checked ? element.value : null;
+
+        case 'select-multiple':
+          return Array.from(element.selectedOptions, option => option.value);
+
+        case 'file':
+          return this._fileValue(element);
+
+        default:
+          return element.value;
       }
+    }
 
-      // Re-scan for new components
-      this._scanForComponents(element.parentElement);
+    _fileValue(element) {
+      const files = Array.from(element.files || [], fileMetadata);
+      return element.multiple ? files : (files[0] || null);
     }
 
-    // Scan DOM for components
-    _scanForComponents(root = document) {
-      const elements = root.querySelectorAll('[data-component-id]');
-      
-      elements.forEach(element => {
-        const componentId = element.dataset.componentId;
-        
-        if (!this.components.has(componentId)) {
-          const component = {
-            id: componentId,
-            element: element,
-            type: element.dataset.componentType || 'unknown',
-            state: {}
-          };
-          
-          this.components.set(componentId, component);
-          
-          // Notify server of new component
-          if (this.connected) {
-            this._send({
-              type: 'component_added',
-              componentId: componentId,
-              componentType: component.type
-            });
-          }
-        }
-      });
+    // Checkboxes sharing a name (within their form, else their component)
+    _checkboxGroup(element) {
+      const scope = element.form || element.closest('[data-component-id]') || document;
+
+      return Array.from(scope.querySelectorAll('input[type="checkbox"]'))
+        .filter(checkbox => checkbox.name === element.name);
     }
 
-    // Setup event delegation for actions
-    _setupEventDelegation() {
-      document.addEventListener('click', this._handleAction);
-      document.addEventListener('submit', this._handleAction);
-      document.addEventListener('input', this._handleAction);
-      document.addEventListener('change', this._handleAction);
+    _isCheckboxGroup(element) {
+      return element.name.endsWith('[]') || this._checkboxGroup(element).length > 1;
     }
 
-    // Handle action events
-    _handleAction(event) {
-      const target = event.target;
-      const action = target.dataset.action;
-      
-      if (!action) return;
+    // Serialize a form the way the browser would submit it, but keeping
+    // repeated names as arrays, nested names as objects and files as metadata
+    _serializeForm(form, submitter) {
+      const fields = {};
 
-      // Parse action format: "event->method"
-      const [eventType, method] = action.split('->');
-      
-      if (eventType !== event.type) return;
+      Array.from(form.elements).forEach(element => {
+        if (!element.name || element.disabled) return;
 
-      // Find component
-      const componentElement = target.closest('[data-component-id]');
-      if (!componentElement) return;
+        switch (element.type) {
+          case 'submit':
+          case 'button':
+          case 'reset':
+          case 'image':
+          case 'fieldset':
+          case 'output':
+            // Only the submitter's value is sent, below
+            break;
 
-      const componentId = componentElement.dataset.componentId;
-      
-      // Prevent default for forms
-      if (event.type === 'submit') {
-        event.preventDefault();
-      }
+          case 'checkbox':
+            if (this._isCheckboxGroup(element)) {
+              assignField(fields, element.name, element.checked ? element.value : undefined, true);
+            } else if (element.checked) {
+              assignField(fields, element.name, element.value);
+            }
+            break;
 
-      // Gather event data
-      const eventData = this._gatherEventData(event, target);
+          case 'radio':
+            if (element.checked) {
+              assignField(fields, element.name, element.value);
+            }
+            break;
 
-      // Send action to server
-      this._send({
-        type: 'action',
-        componentId: componentId,
-        method: method,
-        event: eventData
+          case 'select-multiple':
+            assignField(fields, element.name, undefined, true);
+            Array.from(element.selectedOptions).forEach(option => {
+              assignField(fields, element.name, option.value, true);
+            });
+            break;
+
+          case 'file':
+            if (element.multiple) {
+              assignField(fields, element.name, undefined, true);
+              Array.from(element.files || []).forEach(file => {
+                assignField(fields, element.name, fileMetadata(file), true);
+              });
+            } else {
+              assignField(fields, element.name, this._fileValue(element));
+            }
+            break;
+
+          default:
+            assignField(fields, element.name, element.value);
+        }
       });
+
+      if (submitter && submitter.name) {
+        assignField(fields, submitter.name, submitter.value);
+      }
+
+      return fields;
     }
 
-    // Gather relevant event data
-    _gatherEventData(event, target) {
-      const data = {
-        type: event.type,
-        timestamp: Date.now()
-      };
+    // Collect action parameters: a JSON data-params object, overridden by
+    // individual data-param-* attributes (data-param-user-id -> user_id)
+    _gatherParams(element) {
+      const params = {};
 
-      switch (event.type) {
-        case 'input':
-        case 'change':
-          data.value = target.value;
-          data.name = target.name;
-          break;
-        
-        case 'submit':
-          // Gather form data
-          const form = event.target;
-          const formData = new FormData(form);
-          data.fields = {};
-          
-          for (const [key, value] of formData.entries()) {
-            data.fields[key] = value;
-          }
-          break;
-        
-        case 'click':
-          data.x = event.clientX;
-          data.y = event.clientY;
-          break;
+      if (element.dataset.params) {
+        try {
+          Object.assign(params, JSON.parse(element.dataset.params));
+        } catch (error) {
+          this._log('warn', 'Invalid data-params JSON:', element.dataset.params);
+        }
       }
 
-      return data;
+      Array.from(element.attributes).forEach(attribute => {
+        if (attribute.name.startsWith('data-param-')) {
+          const key = attribute.name.slice('data-param-'.length).replace(/-/g, '_');
+          params[key] = coerceParam(attribute.value);
+        }
+      });
+
+      return params;
     }
 
     // Setup mutation observer for dynamic content
@@ -306,6 +2963,8 @@
       if (!window.MutationObserver) return;
 
       const observer = new MutationObserver((mutations) => {
+        let removed = false;
+
         mutations.forEach(mutation => {
           if (mutation.type === 'childList') {
             mutation.addedNodes.forEach(node => {
@@ -313,11 +2972,16 @@
                 this._scanForComponents(node);
               }
             });
+
+            removed = removed || mutation.removedNodes.length > 0;
           }
         });
+
+        // After the additions, so replaced components are recognised
+        if (removed) this._pruneComponents();
       });
 
-      // Start observing when connected
+      // Started by init()
       this._mutationObserver = observer;
     }
 
@@ -333,8 +2997,8 @@
 
     // Send message to server
     _send(message) {
-      if (this.connected && this.socket.readyState === WebSocket.OPEN) {
-        this.socket.send(JSON.stringify(message));
+      if (this.connected && this.transport.isOpen()) {
+        this.transport.send(message);
       } else {
         // Queue message for later
         this.messageQueue.push(message);
@@ -373,18 +3037,75 @@
         clearTimeout(this.reconnectTimer);
       }
 
+      if (this.reconnectAttempts >= this.options.maxReconnectAttempts) {
+        this._log('warn', `Giving up after ${this.reconnectAttempts} reconnect attempts`);
+        this._setStatus('disconnected', { attempts: this.reconnectAttempts, gaveUp: true });
+        return;
+      }
+
+      this.reconnectAttempts++;
+
+      // Jitter keeps clients dropped together (say, by a server restart)
+      // from all reconnecting at the same moment
+      const delay = Math.round(this.reconnectDelay * (0.5 + Math.random() * 0.5));
+      this._setStatus('reconnecting', { attempt: this.reconnectAttempts, delay });
+
       this.reconnectTimer = setTimeout(() => {
-        this._log('info', 'Attempting to reconnect...');
+        this.reconnectTimer = null;
+        this._log('info', `Attempting to reconnect (attempt ${this.reconnectAttempts})...`);
         this._connect();
-      }, this.reconnectDelay);
+      }, delay);
 
       // Exponential backoff
       this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
     }
 
+    // Record a connection status change: emits amber:<status>, calls
+    // onStatusChange handlers and sets the amber-<status> class on <body>
+    // and [data-connection-status] elements
+    _setStatus(status, detail = {}) {
+      // Repeated reconnecting reports carry a new attempt, so they count
+      if (status === this.currentStatus && status !== 'reconnecting' && Object.keys(detail).length === 0) {
+        return;
+      }
+
+      const previous = this.currentStatus;
+      this.currentStatus = status;
+      this._renderStatus();
+
+      const info = { status, previous, ...detail };
+      this.emit(status, info);
+
+      this.statusHandlers.forEach(handler => {
+        try {
+          handler(status, info);
+        } catch (error) {
+          this._log('error', 'Status handler failed:', error);
+        }
+      });
+    }
+
+    // data-connection-status="disconnected reconnecting" also shows the
+    // element only in the listed statuses
+    _renderStatus() {
+      const status = this.currentStatus;
+      const elements = Array.from(document.querySelectorAll('[data-connection-status]'));
+      if (document.body) elements.unshift(document.body);
+
+      elements.forEach(element => {
+        CONNECTION_STATUSES.forEach(name => {
+          element.classList.toggle(`amber-${name}`, name === status);
+        });
+
+        const shownIn = (element.dataset.connectionStatus || '').split(/\s+/).filter(Boolean);
+        if (shownIn.length > 0) element.hidden = !shownIn.includes(status);
+      });
+    }
+
     // Utility methods
     _bindMethods() {
       this._handleAction = this._handleAction.bind(this);
+      this._resumePolling = this._resumePolling.bind(this);
     }
 
     _buildWebSocketUrl() {
@@ -413,6 +3134,206 @@
       });
     }
 
+    // Send an action, resolving with the component's new state once the
+    // server acknowledges it or rejecting with the server's error.
+    // `options.optimistic` takes data-optimistic hints (applied against
+    // `options.element`) that are rolled back if the action fails.
+    pushAction(componentId, method, payload = {}, options = {}) {
+      const ref = String(++this.refCounter);
+      const timeout = options.timeout !== undefined ? options.timeout : this.options.actionTimeout;
+
+      const optimistic = options.optimistic
+        ? this._applyOptimistic(componentId, options.optimistic, options.element)
+        : null;
+
+      return new Promise((resolve, reject) => {
+        const pending = { componentId, method, optimistic, resolve, reject, timer: null };
+
+        if (timeout > 0) {
+          pending.timer = setTimeout(() => {
+            // Still queued while offline: the caller is told it failed, so
+            // it mustn't run once we reconnect
+            this.messageQueue = this.messageQueue.filter(message => message.ref !== ref);
+            this._rejectAction(ref, { message: `Action ${method} timed out after ${timeout}ms` });
+          }, timeout);
+        }
+
+        this.pendingActions.set(ref, pending);
+
+        this._send({
+          type: 'action',
+          ref: ref,
+          componentId: componentId,
+          method: method,
+          event: payload
+        });
+      });
+    }
+
+    // Upload a file for a component. Resolves with the upload reference
+    // ({id, name, filename, size, type}) once the server has all of it, and
+    // pushes `options.method` with that reference when given.
+    upload(componentId, name, file, options = {}) {
+      const input = options.input || null;
+      const error = this._validateUpload(input, file);
+
+      if (error) {
+        this.emit('upload-error', { componentId, name, file: fileMetadata(file), error });
+        return Promise.reject(new Error(error));
+      }
+
+      const id = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const componentElement = document.querySelector(`[data-component-id="${componentId}"]`);
+      const busy = [input, componentElement].filter(Boolean);
+
+      busy.forEach(element => this._markBusy(element));
+
+      return new Promise((resolve, reject) => {
+        const upload = {
+          id,
+          componentId,
+          name,
+          file,
+          method: options.method,
+          xhr: null,
+          resolve,
+          reject,
+          finish: () => busy.forEach(element => this._unmarkBusy(element))
+        };
+
+        this.uploads.set(id, upload);
+        this._emitUploadProgress(upload, 0);
+
+        // Chunks need a socket to stream over; other transports POST
+        if (this.transport && this.transport.name === 'websocket' && this.connected) {
+          this._uploadOverSocket(upload);
+        } else {
+          this._uploadOverHttp(upload);
+        }
+      });
+    }
+
+    // Abort an upload in progress
+    cancelUpload(uploadId) {
+      const upload = this.uploads.get(uploadId);
+      if (!upload) return;
+
+      if (upload.xhr) {
+        upload.xhr.abort();
+      } else {
+        this._send({ type: 'upload_cancel', uploadId: uploadId });
+      }
+
+      this.uploads.delete(uploadId);
+      upload.finish();
+      this.emit('upload-cancel', { uploadId, componentId: upload.componentId, name: upload.name });
+      upload.reject(new Error('Upload cancelled'));
+    }
+
+    // Validate every field of a form and show the errors; returns whether
+    // the form is valid. Focuses the first invalid field.
+    validateForm(form) {
+      if (!form || !form.elements) return true;
+
+      const fields = Array.from(form.elements).filter(field => field.name && field.willValidate !== undefined);
+      const invalid = this._validateFields(fields);
+
+      if (invalid.length > 0) {
+        invalid[0].focus();
+        this.emit('invalid', { form: form, fields: invalid.map(field => field.name) });
+        return false;
+      }
+
+      return true;
+    }
+
+    // A component's state as last sent by the server, plus local changes
+    getState(componentId) {
+      const component = this.components.get(componentId);
+      return component ? component.state : undefined;
+    }
+
+    // Change state locally and re-render bindings, without contacting the
+    // server. Takes a dotted path and value, or an object of changes.
+    setState(componentId, pathOrChanges, value) {
+      const component = this.components.get(componentId);
+      if (!component) return;
+
+      const changes = typeof pathOrChanges === 'string' ? { [pathOrChanges]: value } : pathOrChanges;
+      const state = JSON.parse(JSON.stringify(component.state || {}));
+
+      Object.entries(changes).forEach(([path, newValue]) => {
+        writePath(state, path.split('.'), newValue);
+      });
+
+      component.state = state;
+      this._renderBindings(componentId);
+    }
+
+    // Receive messages published to a topic (ReactiveHandler.publish),
+    // called as handler(payload, topic). Returns a function that
+    // unsubscribes the handler. Needs the WebSocket or SSE transport.
+    subscribe(topic, handler) {
+      let handlers = this.subscriptions.get(topic);
+
+      if (!handlers) {
+        handlers = new Set();
+        this.subscriptions.set(topic, handlers);
+
+        // Otherwise the topic goes out with the next register
+        if (this.connected) {
+          this._send({ type: 'subscribe', topic });
+        }
+      }
+
+      handlers.add(handler);
+      return () => this.unsubscribe(topic, handler);
+    }
+
+    // Remove a handler, or every handler for the topic if none is given
+    unsubscribe(topic, handler) {
+      const handlers = this.subscriptions.get(topic);
+      if (!handlers) return;
+
+      if (handler) {
+        handlers.delete(handler);
+      } else {
+        handlers.clear();
+      }
+
+      if (handlers.size === 0) {
+        this.subscriptions.delete(topic);
+
+        if (this.connected) {
+          this._send({ type: 'unsubscribe', topic });
+        }
+      }
+    }
+
+    // Presence for a topic: reactive.presence('chat:42').join({name: 'Ada'})
+    presence(topic) {
+      if (!this.presences.has(topic)) {
+        this.presences.set(topic, new Presence(this, topic));
+      }
+
+      return this.presences.get(topic);
+    }
+
+    // Register a validation rule for data-validate, called as
+    // fn(value, arg, field) and returning an error message or null
+    registerValidator(name, validator) {
+      this.validators.set(name, validator);
+    }
+
+    // Register a named command the server can invoke with JSON args
+    registerCommand(name, handler) {
+      this.commands.set(name, handler);
+    }
+
+    unregisterCommand(name) {
+      this.commands.delete(name);
+    }
+
     // Register custom event handler
     on(eventType, handler) {
       document.addEventListener(`amber:${eventType}`, handler);
@@ -426,18 +3347,55 @@
 
     // Disconnect from server
     disconnect() {
-      this.options.reconnect = false;
+      this.stopped = true;
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
       
-      if (this.socket) {
-        this.socket.close();
+      if (this.transport) {
+        this.transport.close();
       }
+
+      this._setStatus('disconnected');
     }
 
-    // Reconnect to server
+    // Reconnect to server, starting the backoff over
     reconnect() {
-      this.options.reconnect = true;
+      this.stopped = false;
+      this.reconnectAttempts = 0;
+      this.reconnectDelay = RECONNECT_DELAY;
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+
+      if (this.transport && this.transport.isOpen()) return;
+
+      this._setStatus('connecting');
       this._connect();
     }
+
+    // Call handler(status, info) whenever the connection status changes.
+    // Returns a function removing the handler.
+    onStatusChange(handler) {
+      this.statusHandlers.add(handler);
+      return () => this.statusHandlers.delete(handler);
+    }
+
+    // Call handler({direction, type, bytes, jsonBytes}) for every message
+    // sent or received, with its size on the wire and as plain JSON.
+    // Returns a function that removes the handler.
+    onMessageSize(handler) {
+      this.sizeHandlers.add(handler);
+      return () => this.sizeHandlers.delete(handler);
+    }
+
+    // Message counts and sizes so far, with the negotiated wire format
+    getMetrics() {
+      return {
+        protocol: this.protocol,
+        encoding: this.encoding,
+        sent: { ...this.messageSizes.sent },
+        received: { ...this.messageSizes.received }
+      };
+    }
   }
 
   // Export to window
@@ -1,3 +1,3 @@
 /* Amber Reactive Client - Minified */
 /* This is a placeholder - in production, use a proper minifier like Terser */
-!function(e){"use strict";const t=1e3,n=3e4,o=3e4;class s{constructor(e={}){this.options={url:e.url||this._buildWebSocketUrl(),debug:e.debug||!1,reconnect:!1!==e.reconnect,heartbeat:!1!==e.heartbeat,morphdom:e.morphdom||window.morphdom,...e},this.components=new Map,this.socket=null,this.connected=!1,this.reconnectDelay=t,this.reconnectTimer=null,this.heartbeatTimer=null,this.messageQueue=[],this.sessionId=this._generateSessionId(),this._bindMethods(),this._setupMutationObserver()}init(){this._connect(),this._scanForComponents(),this._setupEventDelegation(),this.options.debug&&console.log("AmberReactive initialized",{sessionId:this.sessionId,url:this.options.url})}_connect(){if(this.socket&&this.socket.readyState===WebSocket.OPEN)return;try{this.socket=new WebSocket(this.options.url),this._setupSocketHandlers()}catch(e){this._log("error","Failed to connect:",e),this._scheduleReconnect()}}_setupSocketHandlers(){this.socket.onopen=()=>{this.connected=!0,this.reconnectDelay=t,this._log("info","Connected to server"),this._send({type:"register",sessionId:this.sessionId,components:Array.from(this.components.keys())}),this._flushMessageQueue(),this.options.heartbeat&&this._startHeartbeat()},this.socket.onclose=()=>{this.connected=!1,this._stopHeartbeat(),this._log("info","Disconnected from server"),this.options.reconnect&&this._scheduleReconnect()},this.socket.onerror=e=>{this._log("error","WebSocket error:",e)},this.socket.onmessage=e=>{try{const t=JSON.parse(e.data);this._handleMessage(t)}catch(e){this._log("error","Failed to parse message:",e)}}}_handleMessage(e){switch(this._log("debug","Received message:",e),e.type){case"update":this._updateComponent(e.componentId,e.html,e.state);break;case"batch_update":e.updates.forEach(e=>{this._updateComponent(e.componentId,e.html,e.state)});break;case"reload":window.location.reload();break;case"eval":if(e.code)try{eval(e.code)}catch(e){this._log("error","Failed to evaluate code:",e)}break;case"pong":break;default:this._log("warn","Unknown message type:",e.type)}}_updateComponent(e,t,n){const o=document.querySelector(`[data-component-id="${e}"]`);o?(this.options.morphdom?this.options.morphdom(o,t,{onBeforeElUpdated:(e,t)=>(e===document.activeElement&&"INPUT"===e.tagName&&requestAnimationFrame(()=>{const t=e.selectionStart;e.focus(),e.setSelectionRange(t,t)}),!0)}):o.outerHTML=t,n&&this.components.has(e)&&(this.components.get(e).state=n),this._scanForComponents(o.parentElement)):this._log("warn","Component not found:",e)}_scanForComponents(e=document){e.querySelectorAll("[data-component-id]").forEach(e=>{const t=e.dataset.componentId;if(!this.components.has(t)){const n={id:t,element:e,type:e.dataset.componentType||"unknown",state:{}};this.components.set(t,n),this.connected&&this._send({type:"component_added",componentId:t,componentType:n.type})}})}_setupEventDelegation(){document.addEventListener("click",this._handleAction),document.addEventListener("submit",this._handleAction),document.addEventListener("input",this._handleAction),document.addEventListener("change",this._handleAction)}_handleAction(e){const t=e.target,n=t.dataset.action;if(!n)return;const[o,s]=n.split("->");if(o!==e.type)return;const i=t.closest("[data-component-id]");if(!i)return;const c=i.dataset.componentId;"submit"===e.type&&e.preventDefault();const a=this._gatherEventData(e,t);this._send({type:"action",componentId:c,method:s,event:a})}_gatherEventData(e,t){const n={type:e.type,timestamp:Date.now()};switch(e.type){case"input":case"change":n.value=t.value,n.name=t.name;break;case"submit":const o=e.target,s=new FormData(o);n.fields={};for(const[e,t]of s.entries())n.fields[e]=t;break;case"click":n.x=e.clientX,n.y=e.clientY}return n}_setupMutationObserver(){if(!window.MutationObserver)return;const e=new MutationObserver(e=>{e.forEach(e=>{"childList"===e.type&&e.addedNodes.forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&this._scanForComponents(e)})})});this._mutationObserver=e}_startObserving(){this._mutationObserver&&this._mutationObserver.observe(document.body,{childList:!0,subtree:!0})}_send(e){this.connected&&this.socket.readyState===WebSocket.OPEN?this.socket.send(JSON.stringify(e)):this.messageQueue.push(e)}_flushMessageQueue(){for(;this.messageQueue.length>0;){const e=this.messageQueue.shift();this._send(e)}}_startHeartbeat(){this._stopHeartbeat(),this.heartbeatTimer=setInterval(()=>{this.connected&&this._send({type:"ping"})},o)}_stopHeartbeat(){this.heartbeatTimer&&(clearInterval(this.heartbeatTimer),this.heartbeatTimer=null)}_scheduleReconnect(){this.reconnectTimer&&clearTimeout(this.reconnectTimer),this.reconnectTimer=setTimeout(()=>{this._log("info","Attempting to reconnect..."),this._connect()},this.reconnectDelay),this.reconnectDelay=Math.min(2*this.reconnectDelay,n)}_bindMethods(){this._handleAction=this._handleAction.bind(this)}_buildWebSocketUrl(){const e="https:"===window.location.protocol?"wss:":"ws:";return`${e}//${window.location.host}/reactive`}_generateSessionId(){return`session_${Date.now()}_${Math.random().toString(36).substr(2,9)}`}_log(e,...t){(this.options.debug||"error"===e)&&console[e]("[AmberReactive]",...t)}updateComponent(e,t){this._send({type:"update_state",componentId:e,state:t})}on(e,t){document.addEventListener(`amber:${e}`,t)}emit(e,t){const n=new CustomEvent(`amber:${e}`,{detail:t});document.dispatchEvent(n)}disconnect(){this.options.reconnect=!1,this.socket&&this.socket.close()}reconnect(){this.options.reconnect=!0,this._connect()}}e.AmberReactive=s,document.addEventListener("DOMContentLoaded",()=>{if(document.body.dataset.amberReactive){const t=new s;t.init(),e.amberReactive=t}})}(window);
\ No newline at end of file
+(function(window){"use strict";const RECONNECT_DELAY=1e3,MAX_RECONNECT_DELAY=3e4,HEARTBEAT_INTERVAL=3e4,FALLBACK_ATTEMPTS=3,ACTION_TIMEOUT=1e4,LOADING_CLASS="amber-loading",RATE_LIMIT_WAIT=300,UPLOAD_CHUNK_SIZE=65536,INVALID_CLASS="amber-invalid",CONNECTION_STATUSES=["connecting","connected","reconnecting","disconnected"],INTERACTION_EVENTS=["pointerover","focusin","touchstart"],MAX_POLL_DELAY=3e5,PROTOCOL_VERSION=2,FRAGMENT_LIMIT=128,DELEGATED_EVENTS=["click","submit","input","change","keydown","keyup","focus","blur","mouseenter","mouseleave"],NON_BUBBLING_EVENTS=["focus","blur","mouseenter","mouseleave"],EVENT_MODIFIERS=["prevent","stop","once","self"],SYSTEM_KEYS=["ctrl","shift","alt","meta"],KEY_ALIASES={enter:"enter",esc:"escape",escape:"escape",space:" ",tab:"tab",up:"arrowup",down:"arrowdown",left:"arrowleft",right:"arrowright",backspace:"backspace",delete:"delete"};function parseActionDescriptor(e){const[t,s]=e.split("->"),[n,...o]=t.split("."),i={descriptor:e,eventType:n,method:s,debounce:null,throttle:null,prevent:!1,stop:!1,once:!1,self:!1,systemKeys:[],keys:[]};for(let e=0;e<o.length;e++){const t=o[e];if("debounce"===t||"throttle"===t){const s=parseInt(o[e+1],10);isNaN(s)?i[t]=RATE_LIMIT_WAIT:(i[t]=s,e++)}else EVENT_MODIFIERS.includes(t)?i[t]=!0:SYSTEM_KEYS.includes(t)?i.systemKeys.push(t):i.keys.push(KEY_ALIASES[t]||t)}return i}function parseActionBindings(e){return e.trim().split(/\s+/).filter(Boolean).map(parseActionDescriptor)}function parseBindingPath(e){const t=e.trim(),s=t.startsWith("!");return{negate:s,path:(s?t.slice(1):t).split(".").filter(Boolean)}}function readPath(e,t){return t.reduce((e,t)=>null!=e?e[t]:void 0,e)}function writePath(e,t,s){const n=t[t.length-1];let o=e;t.slice(0,-1).forEach(e=>{null!==o[e]&&"object"==typeof o[e]||(o[e]={}),o=o[e]}),o[n]=s}function truthy(e){return Array.isArray(e)?e.length>0:!!e}function parseLocalOperation(e){const t=e.match(/^\$(\w+):([^=]+)(?:=(.*))?$/);return t?{op:t[1],path:t[2].split(".").filter(Boolean),value:void 0===t[3]?void 0:coerceParam(t[3])}:null}function coerceParam(e){return"true"===e||"false"!==e&&("null"===e?null:/^-?(0|[1-9]\d*)(\.\d+)?$/.test(e)?Number(e):e)}function fieldPath(e){const t=e.match(/^([^[\]]+)((?:\[[^[\]]*\])*)$/);if(!t)return[e];const s=[t[1]];return t[2].replace(/\[([^[\]]*)\]/g,(e,t)=>s.push(t)),s}function assignField(e,t,s,n=!1){const o=fieldPath(t),i=o.pop();let r=e;o.forEach((e,t)=>{const s=t+1<o.length?o[t+1]:i;if(""===e&&Array.isArray(r)){const e=r[r.length-1];if(e&&"object"==typeof e&&!(s in e))r=e;else{const e={};r.push(e),r=e}return}null!==r[e]&&"object"==typeof r[e]||(r[e]=""===s?[]:{}),r=r[e]}),""!==i?(n&&!Array.isArray(r[i])&&(r[i]=void 0===r[i]?[]:[r[i]]),void 0!==s&&(void 0===r[i]?r[i]=s:Array.isArray(r[i])?r[i].push(s):r[i]=[r[i],s])):void 0!==s&&r.push(s)}function fileMetadata(e){return{name:e.name,size:e.size,type:e.type,lastModified:e.lastModified}}function acceptsFile(e,t){const s=t.name.toLowerCase(),n=(t.type||"").toLowerCase();return e.split(",").map(e=>e.trim().toLowerCase()).filter(Boolean).some(e=>e.startsWith(".")?s.endsWith(e):e.endsWith("/*")?n.startsWith(e.slice(0,-1)):n===e)}function blobToBase64(e){return new Promise((t,s)=>{const n=new FileReader;n.onload=()=>t(n.result.slice(n.result.indexOf(",")+1)),n.onerror=()=>s(n.error),n.readAsDataURL(e)})}function keyMatches(e,t){return void 0===t.key||!!e.systemKeys.every(e=>t[`${e}Key`])&&(0===e.keys.length||e.keys.includes(t.key.toLowerCase()))}function rateLimitAttribute(e,t){const s=e.dataset[t];if(void 0===s)return null;const n=parseInt(s,10);return isNaN(n)?RATE_LIMIT_WAIT:n}function postJSON(e,t){return fetch(e,{method:"POST",credentials:"same-origin",headers:{"Content-Type":"application/json",Accept:"application/json"},body:"string"==typeof t?t:JSON.stringify(t)}).then(e=>e.json().catch(()=>({})).then(t=>({response:e,body:t})))}function byteLength(e){let t=0;for(let s=0;s<e.length;s++){const n=e.charCodeAt(s);n<128?t+=1:n<2048?t+=2:n>=55296&&n<56320?(t+=4,s++):t+=3}return t}function expandFragments(e,t,s,n=null){if(Array.isArray(e))e.forEach((n,o)=>{e[o]=expandFragments(n,t,s)});else if(e&&"object"==typeof e){if("html"===n&&"number"==typeof e.$f){if("string"==typeof e.v&&(t.set(e.$f,e.v),t.delete(e.$f-s)),!t.has(e.$f))throw new Error(`Unknown fragment ${e.$f}`);return t.get(e.$f)}Object.keys(e).forEach(n=>{e[n]=expandFragments(e[n],t,s,n)})}return e}function actionUrl(e,t){const s=e.options.actionUrl;return t.componentId?`${s}/${encodeURIComponent(t.componentId)}`:s}class WebSocketTransport{constructor(e){this.client=e,this.name="websocket",this.heartbeat=!0,this.socket=null,this.opened=!1}connect(){this.socket=new WebSocket(this.client.options.url),this.socket.onopen=()=>{this.opened=!0,this.client._onTransportOpen(this)},this.socket.onclose=()=>{this.client._onTransportClose(this,this.opened)},this.socket.onerror=e=>{this.client._log("error","WebSocket error:",e)},this.socket.onmessage=e=>{try{this.client._onTransportFrame(this,e.data)}catch(e){this.client._log("error","Failed to parse message:",e)}}}isOpen(){return!!this.socket&&this.socket.readyState===WebSocket.OPEN}send(e){this.socket.send(this.client._frame(e))}close(){this.socket&&this.socket.close()}}class HttpTransport{constructor(e){this.client=e,this.name="http",this.heartbeat=!1,this.opened=!1}connect(){this.opened=!0,this.client._onTransportOpen(this)}isOpen(){return this.opened}send(e){"action"===e.type?this._post(e):"refresh"===e.type&&this._post({type:"action",componentId:e.componentId,method:"refresh",event:{type:"refresh"}})}close(){this.opened&&(this.opened=!1,this.client._onTransportClose(this,!0))}_post(e){postJSON(actionUrl(this.client,e),this.client._frame(e)).then(({response:t,body:s})=>{t.ok&&s.success?this.client._onTransportMessage(this,{type:"update",ref:e.ref,componentId:s.componentId,html:s.html,state:s.state}):this.client._onTransportMessage(this,{type:"error",ref:e.ref,componentId:e.componentId,message:s.error||`HTTP ${t.status}`})}).catch(t=>{this.client._onTransportMessage(this,{type:"error",ref:e.ref,componentId:e.componentId,message:t.message})})}}class SSETransport{constructor(e){this.client=e,this.name="sse",this.heartbeat=!1,this.source=null,this.token=null,this.opened=!1,this.sending=Promise.resolve()}connect(){const e=new URL(this.client.options.sseUrl,window.location.href);e.searchParams.set("sessionId",this.client.sessionId),this.client.options.resume&&this.client.sessionToken&&e.searchParams.set("token",this.client.sessionToken),this.source=new EventSource(e.toString()),this.source.addEventListener("session",e=>{this.token=JSON.parse(e.data).token,this.opened||(this.opened=!0,this.client._onTransportOpen(this))}),this.source.onerror=()=>{this.close()},this.source.onmessage=e=>{try{this.client._onTransportFrame(this,e.data)}catch(e){this.client._log("error","Failed to parse message:",e)}}}isOpen(){return this.opened}send(e){const t={...e,sessionId:this.client.sessionId,streamToken:this.token},s=this.client._frame(t);this.sending=this.sending.then(()=>postJSON(this.client.options.sseUrl,s)).then(({response:t,body:s})=>{t.ok||this.client._onTransportMessage(this,{type:"error",ref:e.ref,componentId:e.componentId,message:s.error||`HTTP ${t.status}`})}).catch(e=>{this.client._log("error","Failed to send message:",e)})}close(){if(!this.source)return;const e=this.opened;this.source.close(),this.source=null,this.token=null,this.opened=!1,this.client._onTransportClose(this,e)}}function morph(e,t,s={}){const n=document.createElement("template");n.innerHTML="string"==typeof t?t.trim():t.outerHTML;const o=n.content.firstElementChild;return o?e.tagName!==o.tagName?(e.replaceWith(o),o):(morphElement(e,o,s),e):e}function keySelector(e){return`[data-key="${String(e).replace(/["\\]/g,"\\$&")}"]`}function morphKey(e){return e.nodeType!==Node.ELEMENT_NODE?null:e.getAttribute("data-key")||e.id||null}function sameNodeType(e,t){return e.nodeType===t.nodeType&&(e.nodeType!==Node.ELEMENT_NODE||e.tagName===t.tagName)}function morphElement(e,t,s){s.onBeforeElUpdated&&!1===s.onBeforeElUpdated(e,t)||(morphAttributes(e,t),"TEXTAREA"!==e.tagName?(morphChildren(e,t,s),morphFormState(e,t)):e.value!==t.value&&(e.value=t.value))}function morphAttributes(e,t){Array.from(e.attributes).forEach(s=>{t.hasAttribute(s.name)||e.removeAttribute(s.name)}),Array.from(t.attributes).forEach(t=>{e.getAttribute(t.name)!==t.value&&e.setAttribute(t.name,t.value)})}function morphFormState(e,t){switch(e.tagName){case"INPUT":if("file"===e.type)break;e.value!==t.value&&(e.value=t.value),e.checked=t.checked;break;case"SELECT":{const t=Array.from(e.options);t.forEach(e=>{e.selected=e.hasAttribute("selected")}),!e.multiple&&t.length>0&&!t.some(e=>e.selected)&&(e.selectedIndex=0);break}}}function morphChildren(e,t,s){const n=new Map;Array.from(e.childNodes).forEach(e=>{const t=morphKey(e);t&&n.set(t,e)});let o=e.firstChild;for(Array.from(t.childNodes).forEach(t=>{const i=morphKey(t);let r=null;if(i){const e=n.get(i);e&&sameNodeType(e,t)&&(r=e,n.delete(i))}else o&&!morphKey(o)&&sameNodeType(o,t)&&(r=o);r?(r===o?o=o.nextSibling:e.insertBefore(r,o),r.nodeType===Node.ELEMENT_NODE?morphElement(r,t,s):r.nodeValue!==t.nodeValue&&(r.nodeValue=t.nodeValue)):e.insertBefore(t,o)});o;){const t=o.nextSibling;e.removeChild(o),o=t}}const BUILTIN_COMMANDS={focus(e){const t=document.querySelector(e.selector);t&&t.focus()},scrollTo(e){if(e.selector){const t=document.querySelector(e.selector);t&&t.scrollIntoView({behavior:e.behavior||"auto",block:e.block||"start"})}else window.scrollTo({top:e.top||0,left:e.left||0,behavior:e.behavior||"auto"})},redirect(e){e.replace?window.location.replace(e.url):window.location.assign(e.url)},dispatchEvent(e){const t=e.selector?document.querySelector(e.selector):document;t&&t.dispatchEvent(new CustomEvent(e.event,{detail:e.detail,bubbles:!1!==e.bubbles}))},setAttribute(e){document.querySelectorAll(e.selector).forEach(t=>{null===e.value||!1===e.value?t.removeAttribute(e.name):t.setAttribute(e.name,!0===e.value?"":e.value)})}},BUILTIN_VALIDATORS={required(e,t,s){if("radio"===s.type){return(s.form?Array.from(s.form.elements).filter(e=>"radio"===e.type&&e.name===s.name):[s]).some(e=>e.checked)?null:"This field is required"}return(Array.isArray(e)?0===e.length:null===e||""===String(e).trim())?"This field is required":null},email:e=>e?/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(e)?null:"Please enter a valid email address":null,url(e){if(!e)return null;try{return new URL(e),null}catch(e){return"Please enter a valid URL"}},numeric:e=>e&&isNaN(Number(e))?"Please enter a number":null,integer:e=>e?/^-?\d+$/.test(e)?null:"Please enter a whole number":null,min(e,t,s){if(!e)return null;const n=Number(t);return"number"===s.type||"range"===s.type?Number(e)<n?`Must be at least ${n}`:null:e.length<n?`Must be at least ${n} characters`:null},max(e,t,s){if(!e)return null;const n=Number(t);return"number"===s.type||"range"===s.type?Number(e)>n?`Must be at most ${n}`:null:e.length>n?`Must be at most ${n} characters`:null},same(e,t,s){const n=s.form&&s.form.elements.namedItem(t);return n&&n.value!==e?"Does not match":null}};function parseValidationRules(e){return e.split("|").filter(Boolean).map(e=>{const t=e.indexOf(":");return-1===t?{name:e.trim(),arg:null}:{name:e.slice(0,t).trim(),arg:e.slice(t+1)}})}function normalizeErrors(e){const t={};return Object.keys(e||{}).forEach(s=>{const n=[].concat(e[s]).filter(Boolean).map(String);n.length>0&&(t[s]=n)}),t}const TRANSPORTS={websocket:WebSocketTransport,http:HttpTransport,sse:SSETransport},COMPONENT_DEFINITIONS=new Map,CLIENTS=new Set;function componentDefinition(e){return COMPONENT_DEFINITIONS.get(e)||COMPONENT_DEFINITIONS.get(e.split("::").pop())}class Presence{constructor(e,t){this.client=e,this.topic=t,this.meta=null,this.key=null,this.state=new Map,this.joinHandlers=new Set,this.leaveHandlers=new Set}join(e={}){return this.meta=e,this.client.connected&&this.client._send({type:"presence_join",topic:this.topic,meta:e}),this}leave(){null!==this.meta&&(this.meta=null,this.client._send({type:"presence_leave",topic:this.topic}))}onJoin(e){return this.joinHandlers.add(e),()=>this.joinHandlers.delete(e)}onLeave(e){return this.leaveHandlers.add(e),()=>this.leaveHandlers.delete(e)}list(){return Array.from(this.state,([e,t])=>({id:e,meta:t,self:e===this.key}))}_syncState(e,t){t&&(this.key=t);const s={};this.state.forEach((t,n)=>{n in e||(s[n]=t)}),this._syncDiff(e,s)}_syncDiff(e,t){Object.entries(t||{}).forEach(([t,s])=>{e&&t in e||this.state.has(t)&&(this.state.delete(t),this._notify(this.leaveHandlers,t,s))}),Object.entries(e||{}).forEach(([e,t])=>{const s=this.state.get(e);void 0!==s&&JSON.stringify(s)===JSON.stringify(t)||(this.state.set(e,t),this._notify(this.joinHandlers,e,t,s))})}_notify(e,...t){e.forEach(e=>{try{e(...t)}catch(e){this.client._log("error",`Presence handler for ${this.topic} failed:`,e)}})}}class AmberReactive{constructor(e={}){this.options={url:e.url||this._buildWebSocketUrl(),actionUrl:e.actionUrl||"/components/action",sseUrl:e.sseUrl||"/components/events",transport:e.transport||"auto",fallbackAttempts:e.fallbackAttempts||FALLBACK_ATTEMPTS,debug:e.debug||!1,reconnect:!1!==e.reconnect,heartbeat:!1!==e.heartbeat,morphdom:e.morphdom||window.morphdom,allowEval:e.allowEval||!1,actionTimeout:e.actionTimeout||ACTION_TIMEOUT,loadingClass:e.loadingClass||LOADING_CLASS,uploadUrl:e.uploadUrl||"/components/upload",uploadChunkSize:e.uploadChunkSize||UPLOAD_CHUNK_SIZE,invalidClass:e.invalidClass||INVALID_CLASS,resume:!1!==e.resume,maxReconnectAttempts:e.maxReconnectAttempts||1/0,encoding:e.encoding||"fragments",...e},this.components=new Map,this.commands=new Map(Object.entries(BUILTIN_COMMANDS)),this.validators=new Map(Object.entries(BUILTIN_VALIDATORS)),this.formErrors=new Map,this.transport=null,this.failedConnects=0,this.connected=!1,this.reconnectDelay=RECONNECT_DELAY,this.reconnectTimer=null,this.reconnectAttempts=0,this.stopped=!1,this.currentStatus="disconnected",this.statusHandlers=new Set,this.heartbeatTimer=null,this.messageQueue=[],this.pendingActions=new Map,this.refCounter=0,this.busyElements=new WeakMap,this.rateLimits=new WeakMap,this.firedOnce=new WeakMap,this.uploads=new Map,this.subscriptions=new Map,this.presences=new Map,this.deferredComponents=new Map,this.lazyObserver=null,this.protocol=1,this.encoding="json",this.fragments=new Map,this.fragmentLimit=FRAGMENT_LIMIT,this.messageSizes={sent:{messages:0,bytes:0,jsonBytes:0},received:{messages:0,bytes:0,jsonBytes:0}},this.sizeHandlers=new Set,this.sessionId=this._generateSessionId(),this.sessionToken=null,this.lastSeq=0,this._bindMethods(),this._setupMutationObserver()}static register(e,t){COMPONENT_DEFINITIONS.set(e,t),CLIENTS.forEach(e=>{e.components.forEach(s=>{componentDefinition(s.type)===t&&s.element.isConnected&&e._connectComponent(s)})})}init(){CLIENTS.add(this),this._connect(),this._scanForComponents(),this._setupEventDelegation(),this._startObserving(),document.addEventListener("visibilitychange",this._resumePolling),this.options.debug&&console.log("AmberReactive initialized",{sessionId:this.sessionId,url:this.options.url,transport:this._transportType()})}get socket(){return this.transport&&this.transport.socket||null}get status(){return this.currentStatus}_connect(){if(this.transport&&this.transport.isOpen())return;"reconnecting"!==this.currentStatus&&this._setStatus("connecting");const e=TRANSPORTS[this._transportType()];if(e){this.transport=new e(this);try{this.transport.connect()}catch(e){this._log("error","Failed to connect:",e),this._onTransportClose(this.transport,!1)}}else this._log("error","Unknown transport:",this.options.transport)}_transportType(){return"auto"!==this.options.transport?this.options.transport:!window.WebSocket||this.failedConnects>=this.options.fallbackAttempts?"http":"websocket"}_onTransportOpen(e){e===this.transport&&(this.connected=!0,this.failedConnects=0,this.reconnectDelay=RECONNECT_DELAY,this.reconnectAttempts=0,this._log("info",`Connected to server via ${e.name}`),this._setStatus("connected",{transport:e.name}),this._resumePolling(),this.protocol=1,this.encoding="json",this.fragments=new Map,this._send({type:"register",sessionId:this.sessionId,components:Array.from(this.components.keys()),topics:Array.from(this.subscriptions.keys()),token:this.options.resume?this.sessionToken:null,lastSeq:this.lastSeq,protocol:PROTOCOL_VERSION,encodings:Array.from(new Set([this.options.encoding,"json"]))}),this.presences.forEach(e=>{null!==e.meta&&e.join(e.meta)}),this._flushMessageQueue(),this.options.heartbeat&&e.heartbeat&&this._startHeartbeat())}_onTransportClose(e,t){if(e!==this.transport)return;this.connected=!1,this._stopHeartbeat(),this._log("info","Disconnected from server"),this.uploads.forEach(e=>{e.xhr||this._failUpload(e.id,"Connection lost")}),t||this.failedConnects++;const s=this.options.reconnect&&!this.stopped;!t&&s||this._setStatus("disconnected"),s&&(this._transportType()!==e.name?(this._log("warn",`Falling back to ${this._transportType()} transport`),this._connect()):this._scheduleReconnect())}_onTransportFrame(e,t){if(e!==this.transport)return;const s=JSON.parse(t),n=byteLength(t);let o=n;if(-1!==t.indexOf('"$f"')){try{expandFragments(s,this.fragments,this.fragmentLimit)}catch(t){return this._log("warn","Fragment decoding failed, reconnecting:",t),this.fragments=new Map,void e.close()}o=byteLength(JSON.stringify(s))}this._recordSize("received",s.type,n,o),this._onTransportMessage(e,s)}_frame(e){const t=JSON.stringify(e),s=byteLength(t);return this._recordSize("sent",e.type,s,s),t}_recordSize(e,t,s,n){const o=this.messageSizes[e];o.messages++,o.bytes+=s,o.jsonBytes+=n;const i={direction:e,type:t,bytes:s,jsonBytes:n};this.sizeHandlers.forEach(e=>{try{e(i)}catch(e){this._log("error","Message size handler failed:",e)}})}_onTransportMessage(e,t){e===this.transport&&this._sequence(t)&&this._handleMessage(t)}_sequence(e){return"number"!=typeof e.seq||!("registered"!==e.type&&e.seq<=this.lastSeq)&&(this.lastSeq=e.seq,!0)}_handleMessage(message){switch(this._log("debug","Received message:",message),message.type){case"update":this._updateComponent(message.componentId,message.html,message.state),this._resolveAction(message.ref,message.state);break;case"ack":this._applyState(message.componentId,message.state),this._resolveAction(message.ref,message.state);break;case"registered":this.sessionToken=message.token||null,this.protocol=message.protocol||1,this.encoding=message.encoding||"json",this.fragmentLimit=message.fragmentLimit||FRAGMENT_LIMIT,Object.entries(message.states||{}).forEach(([e,t])=>{this._applyState(e,t)});break;case"patch":this._patchComponent(message.componentId,message.patches||[],message.state),this._resolveAction(message.ref,message.state);break;case"batch_update":message.updates.forEach(e=>{this._updateComponent(e.componentId,e.html,e.state)});break;case"message":this._deliver(message.topic,message.payload);break;case"resync":(message.components||[]).forEach(e=>{this.components.has(e)&&this._send({type:"refresh",componentId:e})});break;case"presence_state":this.presences.has(message.topic)&&this.presences.get(message.topic)._syncState(message.presences||{},message.self);break;case"presence_diff":this.presences.has(message.topic)&&this.presences.get(message.topic)._syncDiff(message.joins,message.leaves);break;case"reload":window.location.reload();break;case"command":this._runCommand(message.name,message.args||{});break;case"eval":if(this.options.allowEval){if(message.code)try{eval(message.code)}catch(e){this._log("error","Failed to evaluate code:",e)}}else this._log("warn","Ignoring eval message; use a registered command instead");break;case"upload_ack":this._onUploadAck(message.uploadId,message.received);break;case"upload_complete":this._onUploadComplete(message.uploadId,message.id);break;case"upload_error":this._failUpload(message.uploadId,message.message);break;case"pong":break;case"error":this._log("error","Server error:",message.message),this._rejectAction(message.ref,message),this.emit("error",message);break;default:this._log("warn","Unknown message type:",message.type)}}_deliver(e,t){const s=this.subscriptions.get(e);s&&Array.from(s).forEach(s=>{try{s(t,e)}catch(t){this._log("error",`Subscriber for ${e} failed:`,t)}})}_subscribeComponent(e){return(e.element.dataset.subscribe||"").trim().split(/\s+/).filter(Boolean).map(t=>{const[s,n]=t.split("->");return this.subscribe(s,t=>{const o={topic:s,payload:t,componentId:e.id};e.element.dispatchEvent(new CustomEvent("amber:message",{bubbles:!0,detail:o})),n&&this.pushAction(e.id,n,{type:"message",topic:s,payload:t}).catch(()=>{})})})}_runCommand(e,t){const s=this.commands.get(e);if(s)try{s(t,this)}catch(t){this._log("error",`Command ${e} failed:`,t)}else this._log("warn","Unknown command:",e)}_updateComponent(e,t,s){const n=document.querySelector(`[data-component-id="${e}"]`);if(!n)return void this._log("warn","Component not found:",e);const o=this.components.get(e);o&&this._callHook(o,"beforeUpdate",s);const i=this._morph(n,t);this._applyState(e,s),o&&this._callHook(o,"updated",s),this._scanForComponents(i.parentElement||document)}_patchComponent(e,t,s){const n=document.querySelector(`[data-component-id="${e}"]`);if(!n)return void this._log("warn","Component not found:",e);const o=this.components.get(e);o&&this._callHook(o,"beforeUpdate",s),t.forEach(e=>{const t=this._patchTargets(n,e);0!==t.length?t.forEach(t=>this._applyPatch(t,e)):this._log("warn","Patch target not found:",e)}),this._applyState(e,s),o&&this._callHook(o,"updated",s),this._scanForComponents(n)}_patchTargets(e,t){return void 0!==t.key&&null!==t.key?Array.from(e.querySelectorAll(keySelector(t.key))):t.selector?Array.from(e.querySelectorAll(t.selector)):[e]}_applyPatch(e,t){switch(t.op){case"append":case"prepend":this._insertPatch(e,t.html||"","prepend"===t.op);break;case"replace":this._morph(e,t.html||"");break;case"remove":e.remove();break;case"text":e.textContent=void 0===t.text||null===t.text?"":t.text;break;case"attribute":void 0===t.value||null===t.value?e.removeAttribute(t.name):e.setAttribute(t.name,t.value),"value"===t.name&&"value"in e?e.value=null===t.value||void 0===t.value?"":t.value:"checked"===t.name&&"checked"in e&&(e.checked=void 0!==t.value&&null!==t.value);break;default:this._log("warn","Unknown patch op:",t.op)}}_insertPatch(e,t,s){const n=document.createElement("template");n.innerHTML=t;const o=Array.from(n.content.childNodes),i=s?e.firstChild:null;o.forEach(t=>{const s=t.nodeType===Node.ELEMENT_NODE?t.getAttribute("data-key"):null,n=null!==s?e.querySelector(`:scope > ${keySelector(s)}`):null;n?this._morph(n,t.outerHTML):e.insertBefore(t,i)})}_applyState(e,t){if(t&&this.components.has(e)){const s=this.components.get(e);s.state=Object.assign({},s.state,t)}this._renderBindings(e),t&&void 0!==t.errors&&(this._errorState(e).server=normalizeErrors(t.errors)),this.formErrors.has(e)&&this._renderErrors(e)}_morph(e,t){const s=this.options.morphdom||morph,n=this._captureScrollPositions(e),o=s(e,t,{onBeforeElUpdated:(e,t)=>this._beforeElUpdated(e,t,n)});return n.forEach(e=>e()),o||e}_beforeElUpdated(e,t,s){const n=e.tagName;if(e.hasAttribute("data-ignore-update"))return!1;if(("VIDEO"===n||"AUDIO"===n)&&!e.paused)return!1;if(e===document.activeElement){if(e.isContentEditable)return!1;this._preserveFocus(e,t,s)}return"DETAILS"!==n&&"DIALOG"!==n||e.open===t.hasAttribute("open")||t.toggleAttribute("open",e.open),e.dataset.preserve&&e.dataset.preserve.split(/\s+/).filter(Boolean).forEach(s=>{this._preserveAttribute(e,t,s)}),!0}_preserveFocus(e,t,s){if("SELECT"===e.tagName){const s=Array.from(e.selectedOptions,e=>e.value);return void Array.from(t.options).forEach(e=>{e.toggleAttribute("selected",s.includes(e.value))})}if("INPUT"!==e.tagName&&"TEXTAREA"!==e.tagName)return;let n=null;try{n=[e.selectionStart,e.selectionEnd,e.selectionDirection]}catch(e){return}null!==n[0]&&s.push(()=>{document.activeElement!==e&&e.focus();const t=e.value.length;e.setSelectionRange(Math.min(n[0],t),Math.min(n[1],t),n[2]||"none")})}_preserveAttribute(e,t,s){"value"!==s&&"checked"!==s?e.hasAttribute(s)?t.setAttribute(s,e.getAttribute(s)):t.removeAttribute(s):s in e&&(t[s]=e[s])}_captureScrollPositions(e){const t=Array.from(e.querySelectorAll("[data-preserve-scroll]"));return e.hasAttribute("data-preserve-scroll")&&t.unshift(e),t.map(e=>{const{scrollTop:t,scrollLeft:s}=e,n=e.scrollHeight-t-e.clientHeight<=2;return()=>{e.isConnected&&("bottom"===e.dataset.preserveScroll&&n?e.scrollTop=e.scrollHeight:(e.scrollTop=t,e.scrollLeft=s))}})}_scanForComponents(e=document){const t=Array.from(e.querySelectorAll("[data-component-id]"));e.matches&&e.matches("[data-component-id]")&&t.unshift(e),t.forEach(e=>{const t=e.dataset.componentId;if(this.components.has(t)){const s=this.components.get(t);s.element!==e&&(this._disconnectComponent(s),s.element=e),this._connectComponent(s)}else this.deferredComponents.has(e)||this._deferComponent(e)||this._addComponent(e)}),this._pruneComponents()}_addComponent(e){const t=e.dataset.componentId,s={id:t,element:e,type:e.dataset.componentType||"unknown",state:{}};this.components.set(t,s),s.subscriptions=this._subscribeComponent(s),this._connectComponent(s),this.connected&&this._send({type:"component_added",componentId:t,componentType:s.type}),e.hasAttribute("data-placeholder")&&this._send({type:"refresh",componentId:t}),e.dataset.poll&&this._startPolling(s)}_startPolling(e){const[t,s]=e.element.dataset.poll.split("->"),n=parseInt(t,10);isNaN(n)||n<=0?this._log("warn","Invalid data-poll interval:",e.element.dataset.poll):(e.poll={interval:n,method:(s||"refresh").trim(),delay:n,last:Date.now(),timer:null,inFlight:!1},this._schedulePoll(e))}_pollingActive(){return this.connected&&!document.hidden}_schedulePoll(e){const t=e.poll;if(clearTimeout(t.timer),t.timer=null,this.components.get(e.id)!==e||!this._pollingActive())return;const s=Math.max(0,t.last+t.delay-Date.now());t.timer=setTimeout(()=>this._poll(e),s)}_poll(e){const t=e.poll;t.timer=null,this.components.get(e.id)===e&&this._pollingActive()&&(t.inFlight=!0,t.last=Date.now(),this.pushAction(e.id,t.method,{type:"poll"}).then(()=>{t.delay=t.interval}).catch(()=>{t.delay=Math.min(2*t.delay,Math.max(t.interval,MAX_POLL_DELAY))}).then(()=>{t.inFlight=!1,this._schedulePoll(e)}))}_resumePolling(){this.components.forEach(e=>{!e.poll||e.poll.timer||e.poll.inFlight||this._schedulePoll(e)})}_deferComponent(e){const t=e.dataset.load||(e.hasAttribute("data-lazy")?"visible":null);if(!t)return!1;const s=()=>this._activateComponent(e);let n;switch(t){case"visible":if(!window.IntersectionObserver)return!1;this.lazyObserver||(this.lazyObserver=new IntersectionObserver(e=>{e.forEach(e=>{e.isIntersecting&&this._activateComponent(e.target)})})),this.lazyObserver.observe(e),n=()=>this.lazyObserver.unobserve(e);break;case"idle":if(window.requestIdleCallback){const e=window.requestIdleCallback(s);n=()=>window.cancelIdleCallback(e)}else{const e=setTimeout(s,1);n=()=>clearTimeout(e)}break;case"interaction":INTERACTION_EVENTS.forEach(t=>e.addEventListener(t,s,!0)),n=()=>{INTERACTION_EVENTS.forEach(t=>e.removeEventListener(t,s,!0))};break;default:return this._log("warn","Unknown data-load strategy:",t),!1}return this.deferredComponents.set(e,n),!0}_activateComponent(e){const t=this.deferredComponents.get(e);t&&(t(),this.deferredComponents.delete(e),e.isConnected&&!this.components.has(e.dataset.componentId)&&this._addComponent(e))}_pruneComponents(){this.deferredComponents.forEach((e,t)=>{t.isConnected||(e(),this.deferredComponents.delete(t))}),this.components.forEach((e,t)=>{if(e.element.isConnected)return;const s=document.querySelector(`[data-component-id="${t}"]`);if(s)return this._disconnectComponent(e),e.element=s,void this._connectComponent(e);this._removeComponent(e)})}_removeComponent(e){e.poll&&clearTimeout(e.poll.timer),this._disconnectComponent(e),(e.subscriptions||[]).forEach(e=>e()),this.components.delete(e.id),this.formErrors.delete(e.id),this.connected&&this._send({type:"component_removed",componentId:e.id}),this.emit("component-removed",{componentId:e.id,componentType:e.type})}_boundElements(e,t){const s=Array.from(e.querySelectorAll(`[${t}]`));return e.hasAttribute(t)&&s.unshift(e),s.filter(t=>t.closest("[data-component-id]")===e)}_renderBindings(e){const t=this.components.get(e);if(!t||!t.element.isConnected)return;const s=t.element,n=t.state||{},o=e=>{const t=parseBindingPath(e),s=readPath(n,t.path);if(void 0!==s)return t.negate?!truthy(s):s};this._boundElements(s,"data-bind-text").forEach(e=>{const t=o(e.dataset.bindText);if(void 0===t)return;const s=null===t?"":String(t);e.textContent!==s&&(e.textContent=s)}),this._boundElements(s,"data-bind-value").forEach(e=>{const t=o(e.dataset.bindValue);if(void 0!==t&&e!==document.activeElement)if("checkbox"===e.type||"radio"===e.type)e.checked="radio"===e.type?String(t)===e.value:truthy(t);else{const s=null===t?"":String(t);e.value!==s&&(e.value=s)}}),this._boundElements(s,"data-bind-class").forEach(e=>{e.dataset.bindClass.trim().split(/\s+/).filter(Boolean).forEach(t=>{const[s,n]=t.split(":"),i=o(n||s);void 0!==i&&e.classList.toggle(s,truthy(i))})}),this._boundElements(s,"data-show").forEach(e=>{const t=o(e.dataset.show);void 0!==t&&(e.hidden=!truthy(t))})}_runLocalOperation(e,t){const s=e.closest("[data-component-id]"),n=parseLocalOperation(t.method);if(!s||!n)return void this._log("warn","Invalid local state operation:",t.method);const o=s.dataset.componentId,i=readPath(this.getState(o),n.path);switch(n.op){case"toggle":this.setState(o,n.path.join("."),!truthy(i));break;case"set":{let t=n.value;if(void 0===t){t="checkbox"===e.type&&!this._isCheckboxGroup(e)?e.checked:this._fieldValue(e)}this.setState(o,n.path.join("."),t);break}default:this._log("warn","Unknown local state operation:",n.op)}}_connectComponent(e){if(e.instance)return;const t=componentDefinition(e.type);if(!t)return;const s="function"==typeof t?new t:Object.create(t);s.id=e.id,s.type=e.type,s.reactive=this,Object.defineProperties(s,{element:{get:()=>e.element,configurable:!0},state:{get:()=>e.state,configurable:!0}}),e.instance=s,this._callHook(e,"connected")}_disconnectComponent(e){e.instance&&(this._callHook(e,"disconnected"),e.instance=null)}_callHook(e,t,...s){const n=e.instance;if(n&&"function"==typeof n[t])try{return n[t](...s)}catch(s){return void this._log("error",`${e.type} ${t} hook failed:`,s)}}_setupEventDelegation(){DELEGATED_EVENTS.forEach(e=>{const t=NON_BUBBLING_EVENTS.includes(e);document.addEventListener(e,this._handleAction,t)})}_handleAction(e){let t=e.target;const s=!NON_BUBBLING_EVENTS.includes(e.type);for("change"===e.type&&t.dataset&&void 0!==t.dataset.upload&&this._handleUploadInput(t),"change"===e.type&&this._validates(t)&&this._validateFields([t]);t&&t.nodeType===Node.ELEMENT_NODE;){if(t.dataset.action&&this._handleBindings(e,t))return;if(!s)return;t=t.parentElement}}_handleBindings(e,t){let s=!1;return parseActionBindings(t.dataset.action).forEach(n=>{this._bindingMatches(n,e,t)&&((n.prevent||"submit"===e.type)&&e.preventDefault(),n.stop&&(e.stopPropagation(),s=!0),n.once&&(this.firedOnce.has(t)||this.firedOnce.set(t,new Set),this.firedOnce.get(t).add(n.descriptor)),this._runBinding(e,t,n))}),s}_bindingMatches(e,t,s){if(e.eventType!==t.type)return!1;if(e.self&&t.target!==s)return!1;if(!keyMatches(e,t))return!1;const n=this.firedOnce.get(s);return!(e.once&&n&&n.has(e.descriptor))&&!!s.closest("[data-component-id]")}_runBinding(e,t,s){if(s.method&&s.method.startsWith("$"))return void this._runLocalOperation(t,s);if(("click"===e.type||"submit"===e.type)&&this.busyElements.has(t))return;if(!("submit"!==e.type||e.submitter&&e.submitter.formNoValidate||this.validateForm(e.target)))return;const n=this._gatherEventData(e,t),o=()=>{if(!t.isConnected||!this._hasBinding(t,s.descriptor))return;const o=t.closest("[data-component-id]");if(!o)return;const i=this._startLoading(e,t,o);this.pushAction(o.dataset.componentId,s.method,n,{optimistic:t.dataset.optimistic,element:t}).catch(()=>{}).then(i)},i=rateLimitAttribute(t,"debounce")||s.debounce,r=rateLimitAttribute(t,"throttle")||s.throttle;i?this._debounce(t,s.descriptor,i,o):r?this._throttle(t,s.descriptor,r,o):o()}_hasBinding(e,t){return parseActionBindings(e.dataset.action||"").some(e=>e.descriptor===t)}_rateLimit(e,t){let s=this.rateLimits.get(e);return s||(s=new Map,this.rateLimits.set(e,s)),s.has(t)||s.set(t,{timer:null,last:0}),s.get(t)}_debounce(e,t,s,n){const o=this._rateLimit(e,t);clearTimeout(o.timer),o.timer=setTimeout(()=>{o.timer=null,n()},s)}_throttle(e,t,s,n){const o=this._rateLimit(e,t),i=o.last+s-Date.now();clearTimeout(o.timer),o.timer=null,i<=0?(o.last=Date.now(),n()):o.timer=setTimeout(()=>{o.timer=null,o.last=Date.now(),n()},i)}_startLoading(e,t,s){const n=t===s?[t]:[t,s];n.forEach(e=>this._markBusy(e));const o=this._disableWith(e,t);return()=>{n.forEach(e=>this._unmarkBusy(e)),o.forEach(e=>e())}}_markBusy(e){const t=this.busyElements.get(e)||0;this.busyElements.set(e,t+1),0===t&&(e.classList.add(this.options.loadingClass),e.setAttribute("aria-busy","true"))}_unmarkBusy(e){const t=this.busyElements.get(e)||0;t>1?this.busyElements.set(e,t-1):(this.busyElements.delete(e),e.classList.remove(this.options.loadingClass),e.removeAttribute("aria-busy"))}_disableWith(e,t){const s=new Map;return"submit"===e.type?(t.querySelectorAll("[data-disable-with]").forEach(e=>{s.set(e,e.dataset.disableWith)}),void 0!==t.dataset.disableWith&&e.submitter&&s.set(e.submitter,e.submitter.dataset.disableWith||t.dataset.disableWith)):void 0!==t.dataset.disableWith&&s.set(t,t.dataset.disableWith),Array.from(s,([e,t])=>this._disableButton(e,t))}_disableButton(e,t){const s="INPUT"===e.tagName,n=s?e.value:e.innerHTML;return e.setAttribute("data-amber-disabled",""),e.disabled=!0,t&&(s?e.value=t:e.textContent=t),()=>{e.hasAttribute("data-amber-disabled")&&(e.removeAttribute("data-amber-disabled"),e.disabled=!1,t&&(s?e.value=n:e.innerHTML=n))}}_resolveAction(e,t){const s=e&&this.pendingActions.get(e);s&&(clearTimeout(s.timer),this.pendingActions.delete(e),s.optimistic&&s.optimistic.settle(),s.resolve(t))}_rejectAction(e,t){const s=e&&this.pendingActions.get(e);if(!s)return;const n=new Error(t.message);n.componentId=t.componentId||s.componentId,n.method=s.method,clearTimeout(s.timer),this.pendingActions.delete(e),s.optimistic&&s.optimistic.rollback(),s.reject(n)}_applyOptimistic(e,t,s){const n=this.components.get(e);if(!n)return null;const o={},i={},r=[],a=[];t.trim().split(/\s+/).filter(Boolean).forEach(e=>{const t=e.indexOf(":"),c=e.slice(0,t),l=e.slice(t+1);if(t<1)this._log("warn","Invalid optimistic hint:",e);else switch(c){case"class":if(!s)break;s.classList.toggle(l),r.push(l);break;case"append":case"prepend":{const e=n.element.querySelector(l);if(!e||!s)break;const t=document.createElement("template");t.innerHTML=s.dataset.optimisticHtml||"";const o="prepend"===c?e.firstChild:null;Array.from(t.content.childNodes).forEach(t=>{t.nodeType===Node.ELEMENT_NODE&&t.setAttribute("data-optimistic-placeholder",""),e.insertBefore(t,o),a.push(t)});break}default:{const t=c.split("."),s=c in i?i[c]:readPath(n.state,t);c in o||(o[c]=readPath(n.state,t)),/^[+-]\d/.test(l)?i[c]=(Number(s)||0)+Number(l):"!"===l?i[c]=!truthy(s):l.startsWith("=")?i[c]=coerceParam(l.slice(1)):this._log("warn","Invalid optimistic hint:",e)}}}),Object.keys(i).length>0&&this.setState(e,i);const c=()=>{a.forEach(e=>e.remove())};return{settle:c,rollback:()=>{c(),s&&r.forEach(e=>s.classList.toggle(e)),Object.keys(i).length>0&&this.setState(e,o)}}}_gatherEventData(e,t){const s={type:e.type,timestamp:Date.now()};switch(e.type){case"input":case"change":case"focus":case"blur":s.value=this._fieldValue(e.target),s.name=e.target.name,"checkbox"!==e.target.type&&"radio"!==e.target.type||(s.checked=e.target.checked);break;case"keydown":case"keyup":s.key=e.key,s.code=e.code,s.value=e.target.value,s.name=e.target.name,s.ctrlKey=e.ctrlKey,s.shiftKey=e.shiftKey,s.altKey=e.altKey,s.metaKey=e.metaKey;break;case"submit":s.fields=this._serializeForm(e.target,e.submitter);break;case"click":s.x=e.clientX,s.y=e.clientY}const n=this._gatherParams(t);return"submit"===e.type&&e.submitter&&Object.assign(n,this._gatherParams(e.submitter)),Object.keys(n).length>0&&(s.params=n),s}_handleUploadInput(e){const t=e.closest("[data-component-id]");if(!t)return;const s=e.dataset.upload||e.name,n=e.dataset.uploadAction||`${s}_uploaded`;Array.from(e.files||[]).forEach(o=>{this.upload(t.dataset.componentId,s,o,{method:n,input:e}).catch(()=>{})})}_validateUpload(e,t){if(!e)return null;const s=parseInt(e.dataset.maxSize,10);return!isNaN(s)&&t.size>s?`${t.name} is larger than ${s} bytes`:e.accept&&!acceptsFile(e.accept,t)?`${t.name} is not an accepted file type`:null}_emitUploadProgress(e,t){const s=e.file.size;this.emit("upload-progress",{uploadId:e.id,componentId:e.componentId,name:e.name,file:fileMetadata(e.file),loaded:t,total:s,percent:s>0?Math.round(t/s*100):100})}_onUploadAck(e,t){const s=this.uploads.get(e);s&&(this._emitUploadProgress(s,t),this._sendUploadChunk(s,t))}_sendUploadChunk(e,t){if(t>=e.file.size)return;blobToBase64(e.file.slice(t,t+this.options.uploadChunkSize)).then(s=>{this.uploads.has(e.id)&&this._send({type:"upload_chunk",uploadId:e.id,offset:t,data:s})}).catch(t=>this._failUpload(e.id,t.message))}_uploadOverSocket(e){this._send({type:"upload_start",uploadId:e.id,componentId:e.componentId,name:e.name,filename:e.file.name,contentType:e.file.type||"application/octet-stream",size:e.file.size})}_uploadOverHttp(e){const t=new XMLHttpRequest;e.xhr=t,t.open("POST",this.options.uploadUrl),t.setRequestHeader("Content-Type",e.file.type||"application/octet-stream"),t.setRequestHeader("Accept","application/json"),t.setRequestHeader("X-Upload-Id",e.id),t.setRequestHeader("X-Upload-Name",e.name),t.setRequestHeader("X-Upload-Filename",encodeURIComponent(e.file.name)),t.setRequestHeader("X-Upload-Component",e.componentId),this.transport&&this.transport.token&&(t.setRequestHeader("X-Upload-Session",this.sessionId),t.setRequestHeader("X-Upload-Token",this.transport.token)),t.upload.onprogress=t=>{t.lengthComputable&&this._emitUploadProgress(e,t.loaded)},t.onload=()=>{if(t.status>=200&&t.status<300){let s=null;try{s=JSON.parse(t.responseText).uploadId}catch(e){}s?this._onUploadComplete(e.id,s):this._failUpload(e.id,"Invalid upload response")}else{let s=`HTTP ${t.status}`;try{s=JSON.parse(t.responseText).error||s}catch(e){}this._failUpload(e.id,s)}},t.onerror=()=>this._failUpload(e.id,"Upload failed"),t.send(e.file)}_onUploadComplete(e,t){const s=this.uploads.get(e);if(!s)return;this.uploads.delete(e),this._emitUploadProgress(s,s.file.size);const n={id:t,name:s.name,filename:s.file.name,size:s.file.size,type:s.file.type};this.emit("upload-complete",{componentId:s.componentId,upload:n}),s.finish(),s.resolve(n),s.method&&this.pushAction(s.componentId,s.method,{type:"upload",timestamp:Date.now(),upload:n}).catch(()=>{})}_failUpload(e,t){const s=this.uploads.get(e);s&&(this.uploads.delete(e),s.finish(),this.emit("upload-error",{uploadId:e,componentId:s.componentId,name:s.name,file:fileMetadata(s.file),error:t}),s.reject(new Error(t)))}_validates(e){return!(!e.dataset||!("willValidate"in e))&&(!!e.closest("[data-component-id]")&&(void 0!==e.dataset.validate||!!e.form))}_fieldErrors(e){const t=[],s=e.dataset.validateMessage;if(e.willValidate&&!e.checkValidity()&&t.push(s||e.validationMessage),e.dataset.validate){const n=this._fieldValue(e);parseValidationRules(e.dataset.validate).forEach(o=>{const i=this.validators.get(o.name);if(!i)return void this._log("warn","Unknown validation rule:",o.name);const r=i(n,o.arg,e);r&&t.push(s||r)})}return Array.from(new Set(t))}_validateFields(e){const t=[],s=new Set;return e.forEach(e=>{const n=e.closest("[data-component-id]");if(!n||!e.name)return;const o=n.dataset.componentId,i=this._fieldErrors(e),r=this._errorState(o).client;i.length>0?(r[e.name]=i,t.push(e)):delete r[e.name],s.add(o)}),s.forEach(e=>this._renderErrors(e)),t}_errorState(e){return this.formErrors.has(e)||this.formErrors.set(e,{client:{},server:{}}),this.formErrors.get(e)}_renderErrors(e){const t=document.querySelector(`[data-component-id="${e}"]`);if(!t)return;const{client:s,server:n}=this._errorState(e),o=e=>Array.from(new Set([...s[e]||[],...n[e]||[]]));t.querySelectorAll("[data-error-for]").forEach(e=>{e.textContent=o(e.dataset.errorFor).join(" ")}),t.querySelectorAll("input[name], select[name], textarea[name]").forEach(e=>{o(e.name).length>0?(e.classList.add(this.options.invalidClass),e.setAttribute("aria-invalid","true")):(e.classList.remove(this.options.invalidClass),e.removeAttribute("aria-invalid"))})}_fieldValue(e){switch(e.type){case"checkbox":return this._isCheckboxGroup(e)?this._checkboxGroup(e).filter(e=>e.checked).map(e=>e.value):e.checked?e.value:null;case"radio":return e.checked?e.value:null;case"select-multiple":return Array.from(e.selectedOptions,e=>e.value);case"file":return this._fileValue(e);default:return e.value}}_fileValue(e){const t=Array.from(e.files||[],fileMetadata);return e.multiple?t:t[0]||null}_checkboxGroup(e){const t=e.form||e.closest("[data-component-id]")||document;return Array.from(t.querySelectorAll('input[type="checkbox"]')).filter(t=>t.name===e.name)}_isCheckboxGroup(e){return e.name.endsWith("[]")||this._checkboxGroup(e).length>1}_serializeForm(e,t){const s={};return Array.from(e.elements).forEach(e=>{if(e.name&&!e.disabled)switch(e.type){case"submit":case"button":case"reset":case"image":case"fieldset":case"output":break;case"checkbox":this._isCheckboxGroup(e)?assignField(s,e.name,e.checked?e.value:void 0,!0):e.checked&&assignField(s,e.name,e.value);break;case"radio":e.checked&&assignField(s,e.name,e.value);break;case"select-multiple":assignField(s,e.name,void 0,!0),Array.from(e.selectedOptions).forEach(t=>{assignField(s,e.name,t.value,!0)});break;case"file":e.multiple?(assignField(s,e.name,void 0,!0),Array.from(e.files||[]).forEach(t=>{assignField(s,e.name,fileMetadata(t),!0)})):assignField(s,e.name,this._fileValue(e));break;default:assignField(s,e.name,e.value)}}),t&&t.name&&assignField(s,t.name,t.value),s}_gatherParams(e){const t={};if(e.dataset.params)try{Object.assign(t,JSON.parse(e.dataset.params))}catch(t){this._log("warn","Invalid data-params JSON:",e.dataset.params)}return Array.from(e.attributes).forEach(e=>{if(e.name.startsWith("data-param-")){const s=e.name.slice(11).replace(/-/g,"_");t[s]=coerceParam(e.value)}}),t}_setupMutationObserver(){if(!window.MutationObserver)return;const e=new MutationObserver(e=>{let t=!1;e.forEach(e=>{"childList"===e.type&&(e.addedNodes.forEach(e=>{e.nodeType===Node.ELEMENT_NODE&&this._scanForComponents(e)}),t=t||e.removedNodes.length>0)}),t&&this._pruneComponents()});this._mutationObserver=e}_startObserving(){this._mutationObserver&&this._mutationObserver.observe(document.body,{childList:!0,subtree:!0})}_send(e){this.connected&&this.transport.isOpen()?this.transport.send(e):this.messageQueue.push(e)}_flushMessageQueue(){for(;this.messageQueue.length>0;){const e=this.messageQueue.shift();this._send(e)}}_startHeartbeat(){this._stopHeartbeat(),this.heartbeatTimer=setInterval(()=>{this.connected&&this._send({type:"ping"})},HEARTBEAT_INTERVAL)}_stopHeartbeat(){this.heartbeatTimer&&(clearInterval(this.heartbeatTimer),this.heartbeatTimer=null)}_scheduleReconnect(){if(this.reconnectTimer&&clearTimeout(this.reconnectTimer),this.reconnectAttempts>=this.options.maxReconnectAttempts)return this._log("warn",`Giving up after ${this.reconnectAttempts} reconnect attempts`),void this._setStatus("disconnected",{attempts:this.reconnectAttempts,gaveUp:!0});this.reconnectAttempts++;const e=Math.round(this.reconnectDelay*(.5+.5*Math.random()));this._setStatus("reconnecting",{attempt:this.reconnectAttempts,delay:e}),this.reconnectTimer=setTimeout(()=>{this.reconnectTimer=null,this._log("info",`Attempting to reconnect (attempt ${this.reconnectAttempts})...`),this._connect()},e),this.reconnectDelay=Math.min(2*this.reconnectDelay,MAX_RECONNECT_DELAY)}_setStatus(e,t={}){if(e===this.currentStatus&&"reconnecting"!==e&&0===Object.keys(t).length)return;const s=this.currentStatus;this.currentStatus=e,this._renderStatus();const n={status:e,previous:s,...t};this.emit(e,n),this.statusHandlers.forEach(t=>{try{t(e,n)}catch(e){this._log("error","Status handler failed:",e)}})}_renderStatus(){const e=this.currentStatus,t=Array.from(document.querySelectorAll("[data-connection-status]"));document.body&&t.unshift(document.body),t.forEach(t=>{CONNECTION_STATUSES.forEach(s=>{t.classList.toggle(`amber-${s}`,s===e)});const s=(t.dataset.connectionStatus||"").split(/\s+/).filter(Boolean);s.length>0&&(t.hidden=!s.includes(e))})}_bindMethods(){this._handleAction=this._handleAction.bind(this),this._resumePolling=this._resumePolling.bind(this)}_buildWebSocketUrl(){return`${"https:"===window.location.protocol?"wss:":"ws:"}//${window.location.host}/components/ws`}_generateSessionId(){return`session_${Date.now()}_${Math.random().toString(36).substr(2,9)}`}_log(e,...t){(this.options.debug||"error"===e)&&console[e]("[AmberReactive]",...t)}updateComponent(e,t){this._send({type:"update_state",componentId:e,state:t})}pushAction(e,t,s={},n={}){const o=String(++this.refCounter),i=void 0!==n.timeout?n.timeout:this.options.actionTimeout,r=n.optimistic?this._applyOptimistic(e,n.optimistic,n.element):null;return new Promise((n,a)=>{const c={componentId:e,method:t,optimistic:r,resolve:n,reject:a,timer:null};i>0&&(c.timer=setTimeout(()=>{this.messageQueue=this.messageQueue.filter(e=>e.ref!==o),this._rejectAction(o,{message:`Action ${t} timed out after ${i}ms`})},i)),this.pendingActions.set(o,c),this._send({type:"action",ref:o,componentId:e,method:t,event:s})})}upload(e,t,s,n={}){const o=n.input||null,i=this._validateUpload(o,s);if(i)return this.emit("upload-error",{componentId:e,name:t,file:fileMetadata(s),error:i}),Promise.reject(new Error(i));const r=`upload_${Date.now()}_${Math.random().toString(36).substr(2,9)}`,a=[o,document.querySelector(`[data-component-id="${e}"]`)].filter(Boolean);return a.forEach(e=>this._markBusy(e)),new Promise((o,i)=>{const c={id:r,componentId:e,name:t,file:s,method:n.method,xhr:null,resolve:o,reject:i,finish:()=>a.forEach(e=>this._unmarkBusy(e))};this.uploads.set(r,c),this._emitUploadProgress(c,0),this.transport&&"websocket"===this.transport.name&&this.connected?this._uploadOverSocket(c):this._uploadOverHttp(c)})}cancelUpload(e){const t=this.uploads.get(e);t&&(t.xhr?t.xhr.abort():this._send({type:"upload_cancel",uploadId:e}),this.uploads.delete(e),t.finish(),this.emit("upload-cancel",{uploadId:e,componentId:t.componentId,name:t.name}),t.reject(new Error("Upload cancelled")))}validateForm(e){if(!e||!e.elements)return!0;const t=Array.from(e.elements).filter(e=>e.name&&void 0!==e.willValidate),s=this._validateFields(t);return!(s.length>0)||(s[0].focus(),this.emit("invalid",{form:e,fields:s.map(e=>e.name)}),!1)}getState(e){const t=this.components.get(e);return t?t.state:void 0}setState(e,t,s){const n=this.components.get(e);if(!n)return;const o="string"==typeof t?{[t]:s}:t,i=JSON.parse(JSON.stringify(n.state||{}));Object.entries(o).forEach(([e,t])=>{writePath(i,e.split("."),t)}),n.state=i,this._renderBindings(e)}subscribe(e,t){let s=this.subscriptions.get(e);return s||(s=new Set,this.subscriptions.set(e,s),this.connected&&this._send({type:"subscribe",topic:e})),s.add(t),()=>this.unsubscribe(e,t)}unsubscribe(e,t){const s=this.subscriptions.get(e);s&&(t?s.delete(t):s.clear(),0===s.size&&(this.subscriptions.delete(e),this.connected&&this._send({type:"unsubscribe",topic:e})))}presence(e){return this.presences.has(e)||this.presences.set(e,new Presence(this,e)),this.presences.get(e)}registerValidator(e,t){this.validators.set(e,t)}registerCommand(e,t){this.commands.set(e,t)}unregisterCommand(e){this.commands.delete(e)}on(e,t){document.addEventListener(`amber:${e}`,t)}emit(e,t){const s=new CustomEvent(`amber:${e}`,{detail:t});document.dispatchEvent(s)}disconnect(){this.stopped=!0,clearTimeout(this.reconnectTimer),this.reconnectTimer=null,this.transport&&this.transport.close(),this._setStatus("disconnected")}reconnect(){this.stopped=!1,this.reconnectAttempts=0,this.reconnectDelay=RECONNECT_DELAY,clearTimeout(this.reconnectTimer),this.reconnectTimer=null,this.transport&&this.transport.isOpen()||(this._setStatus("connecting"),this._connect())}onStatusChange(e){return this.statusHandlers.add(e),()=>this.statusHandlers.delete(e)}onMessageSize(e){return this.sizeHandlers.add(e),()=>this.sizeHandlers.delete(e)}getMetrics(){return{protocol:this.protocol,encoding:this.encoding,sent:{...this.messageSizes.sent},received:{...this.messageSizes.received}}}}window.AmberReactive=AmberReactive,document.addEventListener("DOMContentLoaded",()=>{if(document.body.dataset.amberReactive){const e=new AmberReactive;e.init(),window.amberReactive=e}})})(window);